@@ -1,10 +1,18 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest, SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
 
 /**
  * Session Think MCP Server
@@ -20,16 +28,63 @@ import path from 'path';
  * - Zero cognitive interference
  */
 
-// Configuration via environment variables
+// Command-line options: --http, --transport <stdio|http>, --host <host>, --port <port>
+const cliArgs = process.argv.slice(2);
+
+function getCliOption(name) {
+  const index = cliArgs.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) return undefined;
+  const arg = cliArgs[index];
+  return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : cliArgs[index + 1];
+}
+
+// Configuration via environment variables (command-line options take precedence)
 const SESSION_DIR = process.env.SESSION_DIR || path.join(process.cwd(), '.session-think-sessions');
 const SESSION_MAX_RETURN = parseInt(process.env.SESSION_MAX_RETURN) || 50;
 const SESSION_NAME_PATTERN = process.env.SESSION_NAME_PATTERN || '^[a-zA-Z0-9_-]+(:[a-zA-Z0-9_-]+){2,}$';
+const SESSION_STORAGE_FORMAT = (process.env.SESSION_STORAGE_FORMAT || 'json').toLowerCase();
+const SESSION_BACKEND = (process.env.SESSION_BACKEND || 'file').toLowerCase();
+const SESSION_DB_PATH = process.env.SESSION_DB_PATH || path.join(SESSION_DIR, 'sessions.db');
+const SESSION_LOCK_TIMEOUT_MS = parseInt(process.env.SESSION_LOCK_TIMEOUT_MS) || 10000;
+const SESSION_LOCK_STALE_MS = parseInt(process.env.SESSION_LOCK_STALE_MS) || 30000;
+const SESSION_TRANSPORT = (cliArgs.includes('--http') ? 'http' : getCliOption('transport') || process.env.SESSION_TRANSPORT || 'stdio').toLowerCase();
+const SESSION_HTTP_HOST = getCliOption('host') || process.env.SESSION_HTTP_HOST || '127.0.0.1';
+const SESSION_HTTP_PORT = parseInt(getCliOption('port') || process.env.SESSION_HTTP_PORT) || 3000;
+const SESSION_HTTP_TOKEN = process.env.SESSION_HTTP_TOKEN || null;
+const SESSION_HTTP_ALLOWED_HOSTS = process.env.SESSION_HTTP_ALLOWED_HOSTS || null;
+const SESSION_CHECKPOINT_INTERVAL = parseInt(process.env.SESSION_CHECKPOINT_INTERVAL) || 0;
+const SESSION_CONFIG = process.env.SESSION_CONFIG || path.join(SESSION_DIR, 'config', 'config.json');
 
 const TMP_DIR = path.join(SESSION_DIR, 'tmp');
+const INDEX_DIR = path.join(SESSION_DIR, 'index');
+const INDEX_PATH = path.join(INDEX_DIR, 'search-index.json');
+const INDEX_VERSION = 5;
+const INDEX_PERSIST_DELAY_MS = 500;
+// Searches check the index against every stored session only when the storage
+// change marker moved, or this long after the last check
+const INDEX_SYNC_INTERVAL_MS = 30 * 1000;
+const LOCK_DIR = path.join(SESSION_DIR, 'locks');
+const ARCHIVE_DIR = path.join(SESSION_DIR, 'archive');
+const TRASH_DIR = path.join(SESSION_DIR, 'trash');
+const TEMPLATES_DIR = path.join(SESSION_DIR, 'templates');
+const PINS_PATH = path.join(SESSION_DIR, 'config', 'pinned.json');
+
+// Storage formats and their file extensions
+const STORAGE_FORMATS = { json: '.json', jsonl: '.jsonl' };
+// Compact a JSONL log once it holds at least this many superseded lines
+// and they outnumber the live thoughts
+const JSONL_COMPACT_MIN_STALE = 32;
+
+// Built-in thinking modes and types of link from one thought to an earlier
+// one; the config file can add more (see THINKING_MODES, RELATIONSHIP_TYPES)
+const BUILTIN_THINKING_MODES = ["linear", "creative", "critical", "strategic", "empathetic"];
+const BUILTIN_RELATIONSHIP_TYPES = ["builds_on", "supports", "contradicts", "refines", "synthesizes"];
 
 // Per-session mutex to prevent concurrent read-modify-write races
 const sessionLocks = new Map();
 
+// Serialize work on a session, within this process and across every process
+// sharing SESSION_DIR
 async function withSessionLock(sessionName, fn) {
   // Wait for any existing lock to release
   while (sessionLocks.has(sessionName)) {
@@ -40,23 +95,161 @@ async function withSessionLock(sessionName, fn) {
   const lock = new Promise(resolve => { release = resolve; });
   sessionLocks.set(sessionName, lock);
   try {
-    return await fn();
+    const fileLock = await acquireFileLock(sessionName);
+    try {
+      return await fn();
+    } finally {
+      await releaseFileLock(fileLock);
+    }
   } finally {
     sessionLocks.delete(sessionName);
     release();
   }
 }
 
+// Lock several sessions at once, always in sorted order to avoid deadlocks
+async function withSessionLocks(sessionNames, fn) {
+  const [first, ...rest] = [...new Set(sessionNames)].sort();
+  if (!first) return fn();
+  return withSessionLock(first, () => withSessionLocks(rest, fn));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Check whether the process that wrote a lock file is gone or has stopped
+// refreshing it
+async function isLockStale(lockPath) {
+  try {
+    const stats = await fs.stat(lockPath);
+    if (Date.now() - stats.mtimeMs > SESSION_LOCK_STALE_MS) return true;
+    
+    const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    if (owner.hostname === os.hostname() && owner.pid !== process.pid) {
+      try {
+        process.kill(owner.pid, 0);
+      } catch (error) {
+        return error.code === 'ESRCH';
+      }
+    }
+    return false;
+  } catch (error) {
+    // Gone already, or still being written by its owner
+    return false;
+  }
+}
+
+// Take an advisory lock file for a session. Creation with 'wx' is atomic, so
+// exactly one process wins; the others retry until the lock is released,
+// found stale, or SESSION_LOCK_TIMEOUT_MS runs out.
+async function acquireFileLock(sessionName) {
+  const lockPath = path.join(LOCK_DIR, `${sanitizeSessionName(sessionName)}.lock`);
+  const token = `${process.pid}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+  const deadline = Date.now() + SESSION_LOCK_TIMEOUT_MS;
+  let delay = 10;
+  
+  while (true) {
+    try {
+      const fileHandle = await fs.open(lockPath, 'wx');
+      try {
+        await fileHandle.writeFile(JSON.stringify({
+          token,
+          pid: process.pid,
+          hostname: os.hostname(),
+          sessionName,
+          acquired_at: new Date().toISOString()
+        }), 'utf8');
+      } finally {
+        await fileHandle.close();
+      }
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new Error(`Could not lock session '${sessionName}' (${lockPath}): ${error.message}`);
+      }
+    }
+    
+    if (await isLockStale(lockPath)) {
+      await breakStaleLock(lockPath);
+      continue;
+    }
+    
+    if (Date.now() >= deadline) {
+      let holder = 'another process';
+      try {
+        const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+        holder = `pid ${owner.pid} on ${owner.hostname}`;
+      } catch (e) {
+        // Released or unreadable; report the generic holder
+      }
+      throw new Error(`Timed out after ${SESSION_LOCK_TIMEOUT_MS}ms waiting for the lock on session '${sessionName}' (held by ${holder})`);
+    }
+    
+    await sleep(delay + Math.random() * delay);
+    delay = Math.min(delay * 2, 250);
+  }
+  
+  // Keep the lock fresh while a long operation holds it
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockPath, now, now).catch(() => {});
+  }, Math.max(SESSION_LOCK_STALE_MS / 3, 100));
+  heartbeat.unref();
+  
+  return { lockPath, token, heartbeat, sessionName };
+}
+
+// Remove a stale lock. Moving it aside first means only one process can
+// claim it; if a fresh lock was moved by mistake it is put back.
+async function breakStaleLock(lockPath) {
+  const stalePath = `${lockPath}.stale_${process.pid}_${Math.random().toString(36).substring(2, 8)}`;
+  try {
+    const staleOwner = await fs.readFile(lockPath, 'utf8');
+    await fs.rename(lockPath, stalePath);
+    const movedOwner = await fs.readFile(stalePath, 'utf8');
+    if (movedOwner !== staleOwner) {
+      await fs.link(stalePath, lockPath).catch(() => {});
+    } else {
+      console.error(`Broke stale session lock: ${path.basename(lockPath)}`);
+    }
+    await fs.unlink(stalePath);
+  } catch (error) {
+    // Another process got there first
+  }
+}
+
+// Release a lock file, unless it was broken as stale and taken over meanwhile
+async function releaseFileLock({ lockPath, token, heartbeat, sessionName }) {
+  clearInterval(heartbeat);
+  try {
+    const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    if (owner.token !== token) {
+      console.error(`Warning: lock on session '${sessionName}' was taken over by pid ${owner.pid} before release`);
+      return;
+    }
+    await fs.unlink(lockPath);
+  } catch (error) {
+    console.error(`Warning: could not release lock on session '${sessionName}': ${error.message}`);
+  }
+}
+
 // Track initialization state
 let sessionDirInitialized = false;
 
 // Initialize session directory once at startup
-async function initSessionDir() {
+// `migrate` lets the storage backend convert existing sessions at startup
+async function initSessionDir({ migrate = false } = {}) {
   if (sessionDirInitialized) return;
   
+  const createStorage = STORAGE_BACKENDS[SESSION_BACKEND];
+  if (!createStorage) {
+    throw new Error(`Invalid SESSION_BACKEND '${SESSION_BACKEND}'. Expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  
   try {
     await fs.mkdir(SESSION_DIR, { recursive: true });
     await fs.mkdir(TMP_DIR, { recursive: true });
+    await fs.mkdir(INDEX_DIR, { recursive: true });
+    await fs.mkdir(LOCK_DIR, { recursive: true });
     // Clean any orphaned tmp files from previous crashes
     try {
       const tmpFiles = await fs.readdir(TMP_DIR);
@@ -70,11 +263,14 @@ async function initSessionDir() {
       // Non-fatal: tmp cleanup failure shouldn't block startup
       console.error(`Warning: could not clean tmp directory: ${e.message}`);
     }
-    sessionDirInitialized = true;
-    console.error(`Session storage initialized: ${SESSION_DIR}`);
   } catch (error) {
     throw new Error(`Session directory cannot be created (${SESSION_DIR}): ${error.message}`);
   }
+  
+  storage = createStorage();
+  await storage.init({ migrate });
+  sessionDirInitialized = true;
+  console.error(`Session storage initialized: ${storage.location} (${storage.name} backend)`);
 }
 
 // Validate session name format
@@ -99,8 +295,8 @@ function sanitizeSessionName(sessionName) {
 
 // Desanitize filename back to session name
 function desanitizeFilename(filename) {
-  // Remove .json extension
-  let name = filename.replace('.json', '');
+  // Remove .json / .jsonl extension
+  let name = filename.replace(/\.jsonl?$/, '');
   // Convert triple underscore back to colon
   return name.replace(/___/g, ':');
 }
@@ -112,291 +308,5330 @@ function generateRandomSessionName() {
   return `TEMP:${timestamp}:${random}`;
 }
 
-// Load a session from disk
-async function loadSession(sessionName) {
-  const sanitized = sanitizeSessionName(sessionName);
-  const sessionPath = path.join(SESSION_DIR, `${sanitized}.json`);
-  try {
-    const data = await fs.readFile(sessionPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      // New session — file doesn't exist yet, this is expected
-      return [];
+// Path of a session file in the configured storage format
+function getSessionPath(sessionName, format = SESSION_STORAGE_FORMAT) {
+  return path.join(SESSION_DIR, `${sanitizeSessionName(sessionName)}${STORAGE_FORMATS[format]}`);
+}
+
+// Number of lines in each JSONL log as of its last load or write, used to
+// decide when a log is due for compaction
+const sessionLogLines = new Map();
+
+// Session metadata of each session file as of its last load or write, carried
+// over when the file is rewritten
+const sessionFileMetadata = new Map();
+
+// Parse a JSONL session log. Each line is a full thought snapshot, or a
+// `{ "metadata": ... }` record for the session; later lines supersede earlier
+// ones, and thoughts keep the position of their first appearance.
+function parseSessionLog(sessionName, data) {
+  const thoughtsById = new Map();
+  let metadata = null;
+  let lineCount = 0;
+  
+  data.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    lineCount++;
+    try {
+      const record = JSON.parse(line);
+      if (record.metadata && !record.id) {
+        metadata = record.metadata;
+      } else {
+        thoughtsById.set(record.id, record);
+      }
+    } catch (e) {
+      // An interrupted append leaves a partial line; the write was never acknowledged
+      console.error(`Warning: skipping unreadable line ${i + 1} in session '${sessionName}': ${e.message}`);
     }
-    // Real error: permission denied, corrupt JSON, etc.
-    throw new Error(`Failed to load session '${sessionName}' (${sessionPath}): ${error.message}`);
+  });
+  
+  sessionLogLines.set(sessionName, lineCount);
+  return { metadata, thoughts: [...thoughtsById.values()] };
+}
+
+// Serialize a full session in the given format. With metadata, a JSON file is
+// a `{ metadata, thoughts }` envelope and a JSONL log starts with a metadata
+// line; without, they hold just the thoughts.
+function serializeSession(thoughts, format, metadata = null) {
+  if (format === 'jsonl') {
+    const lines = thoughts.map(t => JSON.stringify(t) + '\n').join('');
+    return metadata ? JSON.stringify({ metadata }) + '\n' + lines : lines;
   }
+  return JSON.stringify(metadata ? { metadata, thoughts } : thoughts, null, 2);
+}
+
+// Read a session file in the given format as { metadata, thoughts }. JSON
+// files from before session metadata are bare arrays of thoughts.
+async function readSessionFile(sessionName, format = SESSION_STORAGE_FORMAT) {
+  const data = await fs.readFile(getSessionPath(sessionName, format), 'utf8');
+  if (format === 'jsonl') return parseSessionLog(sessionName, data);
+  const parsed = JSON.parse(data);
+  return Array.isArray(parsed)
+    ? { metadata: null, thoughts: parsed }
+    : { metadata: parsed.metadata || null, thoughts: parsed.thoughts || [] };
 }
 
-// Save a session to disk with fsync for durability
-async function saveSession(sessionName, thoughts) {
-  const sanitized = sanitizeSessionName(sessionName);
-  const sessionPath = path.join(SESSION_DIR, `${sanitized}.json`);
+// Write a file via the tmp directory with fsync, then rename for atomicity
+async function writeFileAtomic(targetPath, data) {
+  const tmpId = `${Date.now()}_${Math.random().toString(36).substring(2, 8)}.tmp`;
+  const tempPath = path.join(TMP_DIR, tmpId);
+  
+  // Open file, write, fsync, then close for durability
+  const fileHandle = await fs.open(tempPath, 'w');
   try {
-    // Ensure parent directory exists before writing (mkdir -p is idempotent)
-    await fs.mkdir(SESSION_DIR, { recursive: true });
-    
-    // Write to tmp directory with random name, then rename for atomicity
-    const tmpId = `${Date.now()}_${Math.random().toString(36).substring(2, 8)}.tmp`;
-    const tempPath = path.join(TMP_DIR, tmpId);
-    const data = JSON.stringify(thoughts, null, 2);
-    
-    // Open file, write, fsync, then close for durability
-    const fileHandle = await fs.open(tempPath, 'w');
-    try {
-      await fileHandle.writeFile(data, 'utf8');
-      await fileHandle.sync(); // Force flush to disk
-    } finally {
-      await fileHandle.close();
-    }
-    
-    // Atomic rename (guaranteed to be either old or new content, never partial)
-    await fs.rename(tempPath, sessionPath);
-  } catch (error) {
-    if (error.code === 'EACCES') {
-      throw new Error(`Permission denied writing session '${sessionName}' (${sessionPath}). Check directory ownership and permissions.`);
-    }
-    if (error.code === 'EROFS') {
-      throw new Error(`Read-only filesystem: cannot write session '${sessionName}' (${sessionPath}). Check Docker mount options.`);
+    await fileHandle.writeFile(data, 'utf8');
+    await fileHandle.sync(); // Force flush to disk
+  } finally {
+    await fileHandle.close();
+  }
+  
+  // Atomic rename (guaranteed to be either old or new content, never partial)
+  await fs.rename(tempPath, targetPath);
+}
+
+// Append thought snapshots to a JSONL log with fsync. A single write call in
+// append mode either lands completely or leaves a partial last line, which
+// parseSessionLog skips.
+async function appendSessionLog(sessionPath, thoughts) {
+  const fileHandle = await fs.open(sessionPath, 'a+');
+  try {
+    // Start on a fresh line if a previous append was interrupted mid-line
+    const { size } = await fileHandle.stat();
+    let prefix = '';
+    if (size > 0) {
+      const { buffer } = await fileHandle.read(Buffer.alloc(1), 0, 1, size - 1);
+      if (buffer[0] !== 0x0a) prefix = '\n';
     }
-    throw new Error(`Failed to save session '${sessionName}' (${sessionPath}): ${error.message}`);
+    await fileHandle.appendFile(prefix + serializeSession(thoughts, 'jsonl'), 'utf8');
+    await fileHandle.sync(); // Force flush to disk
+  } finally {
+    await fileHandle.close();
   }
 }
 
-// Get list of all session files
-async function listSessionFiles() {
+// Get list of all session files in the given format
+async function listSessionFiles(format = SESSION_STORAGE_FORMAT) {
   try {
     const files = await fs.readdir(SESSION_DIR);
-    return files.filter(file => file.endsWith('.json'));
+    const extension = STORAGE_FORMATS[format];
+    return files.filter(file => file.endsWith(extension));
   } catch (error) {
     console.error('Failed to list session files:', error);
     return [];
   }
 }
 
-// Build reasoning chain for "builds_on" relationships
-function buildReasoningChain(thoughtId, thoughts) {
-  const chain = [];
-  const visited = new Set();
-  let currentId = thoughtId;
+// A directory's mtime, or null if it doesn't exist
+async function directoryMtime(dir) {
+  try {
+    return (await fs.stat(dir)).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Convert session files stored in another format to the configured one
+async function migrateSessionFiles() {
+  const files = await fs.readdir(SESSION_DIR);
+  let migrated = 0;
   
-  while (currentId && !visited.has(currentId) && chain.length < 20) {
-    visited.add(currentId);
-    const thought = thoughts.find(t => t.id === currentId);
-    
-    if (!thought) break;
-    
-    chain.unshift({
-      id: thought.id,
-      content_preview: thought.content.substring(0, 120) + (thought.content.length > 120 ? "..." : ""),
-      mode: thought.mode,
-      timestamp: thought.timestamp,
-      relationship_type: thought.relationship_type
-    });
+  for (const [format, extension] of Object.entries(STORAGE_FORMATS)) {
+    if (format === SESSION_STORAGE_FORMAT) continue;
     
-    if (thought.relationship_type === 'builds_on' && thought.relates_to) {
-      currentId = thought.relates_to;
-    } else {
-      break;
+    for (const file of files.filter(f => f.endsWith(extension))) {
+      const sessionName = desanitizeFilename(file);
+      const targetPath = getSessionPath(sessionName);
+      try {
+        // Never overwrite a session that already exists in the target format
+        if (files.includes(path.basename(targetPath))) {
+          console.error(`Warning: session '${sessionName}' exists as both ${file} and ${path.basename(targetPath)}; leaving ${file} untouched`);
+          continue;
+        }
+        
+        const { metadata, thoughts } = await readSessionFile(sessionName, format);
+        await writeFileAtomic(targetPath, serializeSession(thoughts, SESSION_STORAGE_FORMAT, metadata));
+        await fs.unlink(path.join(SESSION_DIR, file));
+        migrated++;
+      } catch (error) {
+        console.error(`Warning: could not migrate session '${sessionName}' to ${SESSION_STORAGE_FORMAT}: ${error.message}`);
+      }
     }
   }
   
-  const maxChainLength = 7;
-  if (chain.length > maxChainLength) {
-    const truncatedChain = chain.slice(-maxChainLength);
-    truncatedChain[0] = {
-      ...truncatedChain[0],
-      truncated: true,
-      note: `... (${chain.length - maxChainLength} earlier thoughts in chain)`
-    };
-    return { chain: truncatedChain, total_length: chain.length, truncated: true };
+  if (migrated > 0) {
+    console.error(`Migrated ${migrated} session(s) to ${SESSION_STORAGE_FORMAT} format`);
   }
-  
-  return { chain: chain, total_length: chain.length, truncated: false };
 }
 
-// Simple relevance scoring function
-function calculateRelevanceScore(thought, queryLower) {
-  let score = 0;
-  const content = thought.content.toLowerCase();
-  
-  if (content.includes(queryLower)) score += 10;
-  
-  const queryWords = queryLower.split(/\s+/);
-  queryWords.forEach(word => {
-    if (content.includes(word)) score += 2;
-  });
-  
-  if (thought.tags) {
-    thought.tags.forEach(tag => {
-      if (tag.toLowerCase().includes(queryLower)) score += 5;
-    });
-  }
-  
-  if (thought.mode && thought.mode.toLowerCase().includes(queryLower)) score += 3;
-  if (thought.relates_to || thought.relationship_type) score += 1;
-  
-  return score;
+// Apply mode/tag/relationship/timestamp filters to thoughts in memory.
+// tagMatch "any" keeps thoughts with at least one of the tags, "all" those
+// with every tag; relationshipType keeps thoughts with an outgoing link of
+// that type.
+function filterThoughts(thoughts, { mode, tags, tagMatch = 'any', relationshipType, after, before } = {}) {
+  const hasTag = (t, tag) => (t.tags || []).includes(tag);
+  return thoughts.filter(t =>
+    (!mode || t.mode === mode) &&
+    (!tags || tags.length === 0 || (tagMatch === 'all' ? tags.every(tag => hasTag(t, tag)) : tags.some(tag => hasTag(t, tag)))) &&
+    (!relationshipType || (t.relationships_out || []).some(rel => rel.relationship_type === relationshipType)) &&
+    (!after || t.timestamp >= after) &&
+    (!before || t.timestamp < before)
+  );
 }
 
-// Create MCP server instance
-const server = new McpServer({
-  name: "session-think-mcp",
-  version: "1.3.1"
-});
-
 // ============================================
-// Tool: think
+// Storage adapters
 // ============================================
-server.registerTool(
-  "think",
-  {
-    title: "Think Tool",
-    description: `A persistent thinking workspace that preserves reasoning across sessions. 
-
-IMPORTANT: Always provide a sessionName parameter with format: category:name:subcategory
-Examples:
-- thesis:NVDA:ai_dominance
-- topic:research:quantum_computing  
-- project:website:redesign
-
-If no sessionName is provided, a temporary session will be generated (TEMP:timestamp:random).
+//
+// Every tool handler persists sessions through the active adapter. An adapter
+// implements:
+//
+//   init({ migrate })                           prepare storage at startup, converting
+//                                               existing sessions if migrate is set
+//   load(sessionName)                           thoughts in order ([] if missing)
+//   save(sessionName, thoughts, changedThoughts) persist; returns { lastModified, incremental }
+//   delete(sessionName)                         remove a session (throws if missing)
+//   rename(oldName, newName, thoughts)          move a session to a new name (throws if taken)
+//   stat(sessionName)                           { created, lastModified } or null
+//   loadMetadata(sessionName)                   stored session metadata, or null
+//   saveMetadata(sessionName, metadata)         replace a session's metadata
+//   list()                                      [{ sessionName, created, lastModified }]
+//   changeMarker()                              cheap value that changes when another
+//                                               process adds, rewrites or removes a session
+//   queryThoughts(sessionName, filters)         thoughts matching the filterThoughts filters
+//   close()                                     release resources at shutdown
+//
+// `changedThoughts` lists the thoughts added or modified since the last load,
+// letting an adapter write just those instead of the whole session. Saving
+// keeps the session's metadata; a new session's records when it was created.
 
-The sessionName is used to store and retrieve your thoughts. Use consistent naming to maintain context across conversations.`,
-    inputSchema: {
-      reasoning: z.string().describe("Your thinking, reasoning, or analysis text"),
-      sessionName: z.string().optional().describe("Session name in format: category:name:subcategory (e.g., thesis:NVDA:ai_dominance). IMPORTANT: Always provide this for persistent sessions."),
-      mode: z.enum(["linear", "creative", "critical", "strategic", "empathetic"]).optional()
-        .describe("Optional thinking mode to structure your reasoning"),
-      tags: z.array(z.string()).optional().describe("Optional tags for categorizing thoughts"),
-      relates_to: z.string().optional().describe("ID of thought this relates to"),
-      relationship_type: z.enum(["builds_on", "supports", "contradicts", "refines", "synthesizes"]).optional().describe("Type of relationship to the referenced thought")
-    }
-  },
-  async ({ reasoning, sessionName, mode, tags, relates_to, relationship_type }) => {
-    try {
-      // Determine session name
-      let session = sessionName;
-      if (!session) {
-        session = generateRandomSessionName();
-      } else {
-        validateSessionName(session);
+// File adapter: one .json or .jsonl file per session in SESSION_DIR
+function createFileStorage() {
+  return {
+    name: 'file',
+    location: SESSION_DIR,
+    
+    async init({ migrate = false } = {}) {
+      if (!STORAGE_FORMATS[SESSION_STORAGE_FORMAT]) {
+        throw new Error(`Invalid SESSION_STORAGE_FORMAT '${SESSION_STORAGE_FORMAT}'. Expected one of: ${Object.keys(STORAGE_FORMATS).join(', ')}`);
       }
-      
-      // Serialize load-modify-save under per-session lock
-      return await withSessionLock(session, async () => {
-        const existingThoughts = await loadSession(session);
-        const isNewSession = existingThoughts.length === 0;
-        const thoughts = [...existingThoughts];
-      
-      // Add new thought
-      const thoughtId = `thought_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
-      const thoughtObj = {
-        id: thoughtId,
-        content: reasoning,
-        mode: mode || "linear",
-        tags: tags || [],
-        timestamp: new Date().toISOString(),
-        relates_to: null,
-        relationship_type: null,
-        relationships_in: [],
-        relationships_out: []
-      };
-
-      // Validate and add relationship tracking
-      if (relates_to && relationship_type) {
-        if (relates_to === thoughtId) {
-          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot reference self" }) }] };
+      if (migrate) await migrateSessionFiles();
+    },
+    
+    async load(sessionName) {
+      const sessionPath = getSessionPath(sessionName);
+      try {
+        const { metadata, thoughts } = await readSessionFile(sessionName);
+        sessionFileMetadata.set(sessionName, metadata);
+        return thoughts;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // New session — file doesn't exist yet, this is expected
+          return [];
         }
+        // Real error: permission denied, corrupt JSON, etc.
+        throw new Error(`Failed to load session '${sessionName}' (${sessionPath}): ${error.message}`);
+      }
+    },
+    
+    // The JSONL format appends just the changed thoughts instead of
+    // rewriting the whole session, compacting periodically
+    async save(sessionName, thoughts, changedThoughts = null) {
+      const sessionPath = getSessionPath(sessionName);
+      try {
+        // Ensure parent directory exists before writing (mkdir -p is idempotent)
+        await fs.mkdir(SESSION_DIR, { recursive: true });
         
-        const referencedThought = thoughts.find(t => t.id === relates_to);
-        if (!referencedThought) {
-          return { content: [{ type: "text", text: JSON.stringify({ error: "Referenced thought not found", thought_id: relates_to }) }] };
+        let appended = false;
+        if (SESSION_STORAGE_FORMAT === 'jsonl' && changedThoughts && sessionLogLines.has(sessionName)) {
+          const lineCount = sessionLogLines.get(sessionName) + changedThoughts.length;
+          const staleLines = lineCount - thoughts.length;
+          if (staleLines < JSONL_COMPACT_MIN_STALE || staleLines < thoughts.length) {
+            await appendSessionLog(sessionPath, changedThoughts);
+            // An append leaves the directory's mtime alone; bump it so other
+            // processes' changeMarker sees the new thoughts
+            const now = new Date();
+            await fs.utimes(SESSION_DIR, now, now);
+            sessionLogLines.set(sessionName, lineCount);
+            appended = true;
+          }
         }
         
-        if (new Date(referencedThought.timestamp) > new Date(thoughtObj.timestamp)) {
-          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot reference future thoughts" }) }] };
+        if (!appended) {
+          // Files from before session metadata date from their first thought
+          const metadata = (sessionFileMetadata.has(sessionName) ? sessionFileMetadata.get(sessionName) : await this.loadMetadata(sessionName)) ||
+            { created: thoughts[0]?.timestamp || new Date().toISOString() };
+          await writeFileAtomic(sessionPath, serializeSession(thoughts, SESSION_STORAGE_FORMAT, metadata));
+          sessionFileMetadata.set(sessionName, metadata);
+          if (SESSION_STORAGE_FORMAT === 'jsonl') sessionLogLines.set(sessionName, thoughts.length + 1);
         }
         
-        referencedThought.relationships_in.push({ thought_id: thoughtId, relationship_type });
-        thoughtObj.relationships_out.push({ thought_id: relates_to, relationship_type });
-        thoughtObj.relates_to = relates_to;
-        thoughtObj.relationship_type = relationship_type;
+        const stats = await fs.stat(sessionPath);
+        return { lastModified: stats.mtime, incremental: appended };
+      } catch (error) {
+        if (error.code === 'EACCES') {
+          throw new Error(`Permission denied writing session '${sessionName}' (${sessionPath}). Check directory ownership and permissions.`);
+        }
+        if (error.code === 'EROFS') {
+          throw new Error(`Read-only filesystem: cannot write session '${sessionName}' (${sessionPath}). Check Docker mount options.`);
+        }
+        throw new Error(`Failed to save session '${sessionName}' (${sessionPath}): ${error.message}`);
+      }
+    },
+    
+    async delete(sessionName) {
+      await fs.unlink(getSessionPath(sessionName));
+      sessionLogLines.delete(sessionName);
+      sessionFileMetadata.delete(sessionName);
+    },
+    
+    async rename(oldName, newName, thoughts) {
+      if (await this.stat(newName)) {
+        throw new Error(`Session '${newName}' already exists`);
+      }
+      sessionFileMetadata.set(newName, await this.loadMetadata(oldName));
+      await this.save(newName, thoughts);
+      await this.delete(oldName);
+    },
+    
+    async loadMetadata(sessionName) {
+      try {
+        const { metadata } = await readSessionFile(sessionName);
+        sessionFileMetadata.set(sessionName, metadata);
+        return metadata;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
       }
+    },
+    
+    // Rewrites the file, which also compacts a JSONL log
+    async saveMetadata(sessionName, metadata) {
+      const { thoughts } = await readSessionFile(sessionName);
+      await writeFileAtomic(getSessionPath(sessionName), serializeSession(thoughts, SESSION_STORAGE_FORMAT, metadata));
+      sessionFileMetadata.set(sessionName, metadata);
+      if (SESSION_STORAGE_FORMAT === 'jsonl') sessionLogLines.set(sessionName, thoughts.length + 1);
+    },
+    
+    async stat(sessionName) {
+      try {
+        const stats = await fs.stat(getSessionPath(sessionName));
+        return { created: stats.birthtime, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    
+    async list() {
+      const sessions = [];
+      for (const file of await listSessionFiles()) {
+        try {
+          const stats = await fs.stat(path.join(SESSION_DIR, file));
+          sessions.push({ sessionName: desanitizeFilename(file), created: stats.birthtime, lastModified: stats.mtime });
+        } catch (error) {
+          // Removed between readdir and stat
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+      return sessions;
+    },
+    
+    async queryThoughts(sessionName, filters) {
+      return filterThoughts(await this.load(sessionName), filters);
+    },
+    
+    // Full rewrites rename into the directory and deletes unlink from it,
+    // both of which change its mtime; JSONL appends set it explicitly
+    async changeMarker() {
+      return directoryMtime(SESSION_DIR);
+    },
+    
+    // Every write is already durable
+    async close() {}
+  };
+}
 
-      thoughts.push(thoughtObj);
+const SQLITE_SCHEMA_VERSION = 1;
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    name TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    metadata TEXT
+  );
+  CREATE TABLE IF NOT EXISTS thoughts (
+    session TEXT NOT NULL REFERENCES sessions(name) ON DELETE CASCADE ON UPDATE CASCADE,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    mode TEXT,
+    timestamp TEXT,
+    retracted INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session, id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_thoughts_mode ON thoughts(session, mode);
+  CREATE INDEX IF NOT EXISTS idx_thoughts_timestamp ON thoughts(session, timestamp);
+  CREATE TABLE IF NOT EXISTS thought_tags (
+    session TEXT NOT NULL,
+    thought_id TEXT NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (session, thought_id, tag),
+    FOREIGN KEY (session, thought_id) REFERENCES thoughts(session, id) ON DELETE CASCADE ON UPDATE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_thought_tags_tag ON thought_tags(session, tag);
+  CREATE TABLE IF NOT EXISTS relationships (
+    session TEXT NOT NULL,
+    from_id TEXT NOT NULL,
+    to_id TEXT NOT NULL,
+    to_session TEXT,
+    relationship_type TEXT NOT NULL,
+    FOREIGN KEY (session, from_id) REFERENCES thoughts(session, id) ON DELETE CASCADE ON UPDATE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_relationships_from ON relationships(session, from_id);
+  CREATE INDEX IF NOT EXISTS idx_relationships_to ON relationships(session, to_id);
+`;
+// SQLite adapter: one embedded database with thoughts, tags and relationships
+// in indexed tables. Requires the optional better-sqlite3 dependency.
+function createSqliteStorage() {
+  let db = null;
+  let sql = null;
+  
+  // Insert or update one thought row with its tags and outgoing relationships
+  function writeThought(sessionName, thought, position) {
+    sql.upsertThought.run({
+      session: sessionName,
+      id: thought.id,
+      position,
+      mode: thought.mode || null,
+      timestamp: thought.timestamp || null,
+      retracted: thought.retracted ? 1 : 0,
+      data: JSON.stringify(thought)
+    });
+    sql.deleteTags.run(sessionName, thought.id);
+    for (const tag of new Set(thought.tags || [])) {
+      sql.insertTag.run(sessionName, thought.id, tag);
+    }
+    sql.deleteRelationships.run(sessionName, thought.id);
+    for (const rel of thought.relationships_out || []) {
+      sql.insertRelationship.run(sessionName, thought.id, rel.thought_id, rel.session || null, rel.relationship_type);
+    }
+  }
+  
+  // Copy session files found in SESSION_DIR into an empty database
+  async function importSessionDirectory() {
+    let imported = 0;
+    for (const format of Object.keys(STORAGE_FORMATS)) {
+      for (const file of await listSessionFiles(format)) {
+        const sessionName = desanitizeFilename(file);
+        try {
+          const { metadata, thoughts } = await readSessionFile(sessionName, format);
+          const stats = await fs.stat(path.join(SESSION_DIR, file));
+          const created = metadata?.created || thoughts[0]?.timestamp || stats.birthtime.toISOString();
+          sql.transaction(() => {
+            sql.upsertSession.run(sessionName, created, stats.mtime.toISOString());
+            if (metadata) sql.updateMetadata.run(JSON.stringify(metadata), stats.mtime.toISOString(), sessionName);
+            thoughts.forEach((thought, position) => writeThought(sessionName, thought, position));
+          })();
+          imported++;
+        } catch (error) {
+          console.error(`Warning: could not import session '${sessionName}' into SQLite: ${error.message}`);
+        }
+      }
+    }
+    if (imported > 0) {
+      console.error(`Imported ${imported} session file(s) from ${SESSION_DIR} into ${SESSION_DB_PATH}`);
+    }
+  }
+  
+  return {
+    name: 'sqlite',
+    location: SESSION_DB_PATH,
+    
+    async init() {
+      let Database;
+      try {
+        ({ default: Database } = await import('better-sqlite3'));
+      } catch (error) {
+        throw new Error(`SESSION_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+      }
       
-      // Save updated session
-      await saveSession(session, thoughts);
+      db = new Database(SESSION_DB_PATH);
+      db.pragma('journal_mode = WAL');
+      // Wait for other processes' write transactions instead of failing
+      db.pragma(`busy_timeout = ${SESSION_LOCK_TIMEOUT_MS}`);
+      db.pragma('foreign_keys = ON');
+      db.exec(SQLITE_SCHEMA);
+      db.pragma(`user_version = ${SQLITE_SCHEMA_VERSION}`);
       
-      // Add related thought context for AI
-      let related_context = null;
-      let reasoning_chain = null;
+      sql = {
+        transaction: fn => db.transaction(fn),
+        selectThoughts: db.prepare('SELECT data FROM thoughts WHERE session = ? ORDER BY position'),
+        upsertSession: db.prepare(`
+          INSERT INTO sessions (name, created_at, updated_at) VALUES (?, ?, ?)
+          ON CONFLICT(name) DO UPDATE SET updated_at = excluded.updated_at`),
+        upsertThought: db.prepare(`
+          INSERT INTO thoughts (session, id, position, mode, timestamp, retracted, data)
+          VALUES (@session, @id, @position, @mode, @timestamp, @retracted, @data)
+          ON CONFLICT(session, id) DO UPDATE SET
+            mode = excluded.mode, timestamp = excluded.timestamp,
+            retracted = excluded.retracted, data = excluded.data`),
+        deleteThoughts: db.prepare('DELETE FROM thoughts WHERE session = ?'),
+        deleteTags: db.prepare('DELETE FROM thought_tags WHERE session = ? AND thought_id = ?'),
+        insertTag: db.prepare('INSERT INTO thought_tags (session, thought_id, tag) VALUES (?, ?, ?)'),
+        deleteRelationships: db.prepare('DELETE FROM relationships WHERE session = ? AND from_id = ?'),
+        insertRelationship: db.prepare('INSERT INTO relationships (session, from_id, to_id, to_session, relationship_type) VALUES (?, ?, ?, ?, ?)'),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE name = ?'),
+        renameSession: db.prepare('UPDATE sessions SET name = ?, updated_at = ? WHERE name = ?'),
+        selectSession: db.prepare('SELECT created_at, updated_at, metadata FROM sessions WHERE name = ?'),
+        updateMetadata: db.prepare('UPDATE sessions SET metadata = ?, updated_at = ? WHERE name = ?'),
+        selectSessions: db.prepare('SELECT name, created_at, updated_at FROM sessions ORDER BY name'),
+        countSessions: db.prepare('SELECT COUNT(*) AS count FROM sessions')
+      };
       
-      if (relates_to && relationship_type) {
-        const related_thought = thoughts.find(t => t.id === relates_to);
-        if (related_thought) {
-          related_context = {
-            relationship: relationship_type,
-            related_thought_id: relates_to,
-            related_content: related_thought.content.substring(0, 200) + "...",
-            related_mode: related_thought.mode
-          };
-          
-          if (relationship_type === 'builds_on') {
-            const chain = buildReasoningChain(relates_to, thoughts);
-            
-            const conflicts = thoughts.filter(t => 
-              t.relationships_out.some(rel => 
-                rel.thought_id === relates_to && rel.relationship_type === 'contradicts'
-              )
-            ).slice(0, 3);
-            
-            const supports = thoughts.filter(t => 
-              t.relationships_out.some(rel => 
-                rel.thought_id === relates_to && rel.relationship_type === 'supports'
-              )
-            ).slice(0, 3);
-            
-            related_context = {
-              type: 'builds_on_enhanced',
-              chain_preview: chain.chain.slice(0, 5).map(t => t.content_preview),
-              conflicts: conflicts.map(t => t.content.substring(0, 80) + "..."),
-              supports: supports.map(t => t.content.substring(0, 80) + "...")
-            };
-            reasoning_chain = chain;
-          }
-        }
+      if (sql.countSessions.get().count === 0) {
+        await importSessionDirectory();
       }
-      
+    },
+    
+    async load(sessionName) {
+      try {
+        return sql.selectThoughts.all(sessionName).map(row => JSON.parse(row.data));
+      } catch (error) {
+        throw new Error(`Failed to load session '${sessionName}' (${SESSION_DB_PATH}): ${error.message}`);
+      }
+    },
+    
+    // Thought rows, tags and relationships change in a single transaction
+    async save(sessionName, thoughts, changedThoughts = null) {
+      const now = new Date().toISOString();
+      try {
+        sql.transaction(() => {
+          sql.upsertSession.run(sessionName, now, now);
+          if (changedThoughts) {
+            for (const thought of changedThoughts) {
+              writeThought(sessionName, thought, thoughts.indexOf(thought));
+            }
+          } else {
+            sql.deleteThoughts.run(sessionName);
+            thoughts.forEach((thought, position) => writeThought(sessionName, thought, position));
+          }
+        })();
+      } catch (error) {
+        throw new Error(`Failed to save session '${sessionName}' (${SESSION_DB_PATH}): ${error.message}`);
+      }
+      return { lastModified: new Date(now), incremental: Boolean(changedThoughts) };
+    },
+    
+    async delete(sessionName) {
+      if (sql.deleteSession.run(sessionName).changes === 0) {
+        throw new Error(`Session '${sessionName}' not found`);
+      }
+    },
+    
+    // Foreign keys cascade the new name to thoughts, tags and relationships
+    async rename(oldName, newName) {
+      sql.transaction(() => {
+        if (sql.selectSession.get(newName)) {
+          throw new Error(`Session '${newName}' already exists`);
+        }
+        if (sql.renameSession.run(newName, new Date().toISOString(), oldName).changes === 0) {
+          throw new Error(`Session '${oldName}' not found`);
+        }
+      })();
+    },
+    
+    async stat(sessionName) {
+      const row = sql.selectSession.get(sessionName);
+      return row ? { created: new Date(row.created_at), lastModified: new Date(row.updated_at) } : null;
+    },
+    
+    // created_at is set when the row is first inserted, so it is the creation time
+    async loadMetadata(sessionName) {
+      const row = sql.selectSession.get(sessionName);
+      if (!row) return null;
+      return { created: row.created_at, ...(row.metadata ? JSON.parse(row.metadata) : {}) };
+    },
+    
+    // Counts as a modification, as rewriting a session file does
+    async saveMetadata(sessionName, metadata) {
+      if (sql.updateMetadata.run(JSON.stringify(metadata), new Date().toISOString(), sessionName).changes === 0) {
+        throw new Error(`Session '${sessionName}' not found`);
+      }
+    },
+    
+    async list() {
+      return sql.selectSessions.all().map(row => ({
+        sessionName: row.name,
+        created: new Date(row.created_at),
+        lastModified: new Date(row.updated_at)
+      }));
+    },
+    
+    // Uses the mode, timestamp and tag indexes
+    async queryThoughts(sessionName, { mode, tags, tagMatch = 'any', relationshipType, after, before } = {}) {
+      const conditions = ['t.session = ?'];
+      const params = [sessionName];
+      if (mode) {
+        conditions.push('t.mode = ?');
+        params.push(mode);
+      }
+      if (after) {
+        conditions.push('t.timestamp >= ?');
+        params.push(after);
+      }
+      if (before) {
+        conditions.push('t.timestamp < ?');
+        params.push(before);
+      }
+      if (tags && tags.length > 0) {
+        const tagList = [...new Set(tags)];
+        const matching = `SELECT COUNT(*) FROM thought_tags g WHERE g.session = t.session AND g.thought_id = t.id AND g.tag IN (${tagList.map(() => '?').join(', ')})`;
+        conditions.push(tagMatch === 'all' ? `(${matching}) = ?` : `(${matching}) > 0`);
+        params.push(...tagList);
+        if (tagMatch === 'all') params.push(tagList.length);
+      }
+      if (relationshipType) {
+        conditions.push('EXISTS (SELECT 1 FROM relationships r WHERE r.session = t.session AND r.from_id = t.id AND r.relationship_type = ?)');
+        params.push(relationshipType);
+      }
+      return db.prepare(`SELECT t.data FROM thoughts t WHERE ${conditions.join(' AND ')} ORDER BY t.position`)
+        .all(...params)
+        .map(row => JSON.parse(row.data));
+    },
+    
+    // Changes whenever another connection commits
+    async changeMarker() {
+      return db.pragma('data_version', { simple: true });
+    },
+    
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+const STORAGE_BACKENDS = { file: createFileStorage, sqlite: createSqliteStorage };
+
+// Active storage adapter, created by initSessionDir
+let storage = null;
+
+// Load a session through the active storage adapter
+async function loadSession(sessionName) {
+  return storage.load(sessionName);
+}
+
+// Statuses a session can have in its metadata
+const SESSION_STATUSES = ["active", "paused", "concluded"];
+
+// A session's metadata with defaults filled in. Sessions stored before
+// metadata existed date from their first thought.
+async function loadSessionMetadata(sessionName, thoughts = null) {
+  const stored = await storage.loadMetadata(sessionName) || {};
+  const created = stored.created || (thoughts || await loadSession(sessionName))[0]?.timestamp || null;
+  return withMetadataDefaults(stored, created);
+}
+
+function withMetadataDefaults(stored, created) {
+  return { title: null, description: null, status: "active", owner: null, fields: {}, ...stored, created };
+}
+
+// Replace a session's stored metadata and the search index's copy of it
+async function saveSessionMetadata(sessionName, metadata) {
+  await storage.saveMetadata(sessionName, metadata);
+  const entry = searchIndex.sessions[sessionName];
+  if (!entry) return;
+  entry.metadata = withMetadataDefaults(metadata, metadata.created || entry.metadata?.created || null);
+  entry.lastModified = (await storage.stat(sessionName)).lastModified.toISOString();
+  scheduleIndexPersist();
+}
+
+// Save a session through the active storage adapter and keep the search index
+// in step. Pass the thoughts that changed to let the adapter write only those.
+async function saveSession(sessionName, thoughts, changedThoughts = null) {
+  const { lastModified, incremental } = await storage.save(sessionName, thoughts, changedThoughts);
+  // A session new to the index needs all of its thoughts indexed. Saving
+  // keeps the metadata, so an indexed session's copy stays valid.
+  if (incremental && searchIndex.sessions[sessionName]) {
+    updateIndexedThoughts(sessionName, changedThoughts, thoughts, lastModified);
+  } else {
+    const metadata = searchIndex.sessions[sessionName]?.metadata || await loadSessionMetadata(sessionName, thoughts);
+    indexSession(sessionName, thoughts, lastModified, metadata);
+  }
+  notifySessionUpdated(sessionName, changedThoughts || thoughts);
+}
+
+// ============================================
+// Search index
+// ============================================
+//
+// Inverted index of tokens to session/thought IDs, so searches don't need to
+// load every session file. Persisted to INDEX_PATH (debounced) and checked
+// against session file mtimes at startup. It also keeps each session's
+// metadata and open-issue counts, so list_sessions and list_open_issues can
+// pick sessions without reading them.
+//
+// Shape:
+// {
+//   version,
+//   sessions: { [sessionName]: { lastModified, thoughtCount, metadata, openIssues: { contradictions, questions }, terms: [...], docs: { [thoughtId]: { length, retracted, mode, tags, timestamp } } } },
+//   archives: { [archiveId]: { sessionName, removedAt, thoughtCount, terms, docs } },
+//   postings: { [token]: { [sessionName or archive key]: { [thoughtId]: termFrequency } } }
+// }
+//
+// Archived sessions are posted under archiveIndexKey(archiveId), which can't
+// clash with a session name.
+
+let searchIndex = { version: INDEX_VERSION, sessions: {}, archives: {}, postings: {} };
+
+const archiveIndexKey = (archiveId) => `archive/${archiveId}`;
+let indexPersistTimer = null;
+
+// Split text into lowercase word tokens
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+}
+
+// Tokens for a thought: content, tags and mode are all searchable
+function thoughtTokens(thought) {
+  return [
+    ...tokenize(thought.content),
+    ...(thought.tags || []).flatMap(tag => tokenize(tag)),
+    ...tokenize(thought.mode)
+  ];
+}
+
+// Drop the postings of one session (or archive key) for the given terms
+function removePostings(key, terms) {
+  for (const term of terms) {
+    const posting = searchIndex.postings[term];
+    if (!posting) continue;
+    delete posting[key];
+    if (Object.keys(posting).length === 0) delete searchIndex.postings[term];
+  }
+}
+
+// Drop a session's entries from the in-memory index
+function removeSessionFromIndex(sessionName) {
+  const entry = searchIndex.sessions[sessionName];
+  if (!entry) return;
+  
+  removePostings(sessionName, entry.terms);
+  delete searchIndex.sessions[sessionName];
+  scheduleIndexPersist();
+}
+
+function removeArchiveFromIndex(archiveId) {
+  const entry = searchIndex.archives[archiveId];
+  if (!entry) return;
+  
+  removePostings(archiveIndexKey(archiveId), entry.terms);
+  delete searchIndex.archives[archiveId];
+  scheduleIndexPersist();
+}
+
+// Index the thoughts of an archived session bundle
+function indexArchive(archiveId, bundle) {
+  removeArchiveFromIndex(archiveId);
+  
+  const terms = new Set();
+  const docs = {};
+  for (const thought of bundle.thoughts) {
+    docs[thought.id] = addThoughtToIndex(archiveIndexKey(archiveId), thought, terms);
+  }
+  
+  searchIndex.archives[archiveId] = {
+    sessionName: bundle.sessionName,
+    removedAt: bundle.removedAt,
+    thoughtCount: bundle.thoughts.length,
+    terms: [...terms],
+    docs
+  };
+  scheduleIndexPersist();
+}
+
+// Add one thought's tokens to the postings and return its doc entry
+function addThoughtToIndex(sessionName, thought, terms) {
+  const tokens = thoughtTokens(thought);
+  for (const token of tokens) {
+    terms.add(token);
+    const posting = searchIndex.postings[token] || (searchIndex.postings[token] = {});
+    const sessionPosting = posting[sessionName] || (posting[sessionName] = {});
+    sessionPosting[thought.id] = (sessionPosting[thought.id] || 0) + 1;
+  }
+  
+  return {
+    length: tokens.length,
+    retracted: Boolean(thought.retracted),
+    mode: (thought.mode || '').toLowerCase(),
+    tags: (thought.tags || []).map(tag => tag.toLowerCase()),
+    timestamp: thought.timestamp
+  };
+}
+
+// (Re)index all thoughts of a session, with its metadata (defaults filled in)
+function indexSession(sessionName, thoughts, lastModified, metadata) {
+  removeSessionFromIndex(sessionName);
+  
+  const terms = new Set();
+  const docs = {};
+  for (const thought of thoughts) {
+    docs[thought.id] = addThoughtToIndex(sessionName, thought, terms);
+  }
+  
+  searchIndex.sessions[sessionName] = {
+    lastModified: lastModified.toISOString(),
+    thoughtCount: thoughts.length,
+    metadata,
+    openIssues: countOpenIssues(sessionName, thoughts),
+    terms: [...terms],
+    docs
+  };
+  scheduleIndexPersist();
+}
+
+// Reindex only the given thoughts of an already indexed session; thoughts
+// are all of its thoughts after the change
+function updateIndexedThoughts(sessionName, changedThoughts, thoughts, lastModified) {
+  const entry = searchIndex.sessions[sessionName];
+  if (!entry) return;
+  
+  const changedIds = new Set(changedThoughts.map(t => t.id));
+  for (const term of entry.terms) {
+    const sessionPosting = searchIndex.postings[term]?.[sessionName];
+    if (!sessionPosting) continue;
+    for (const id of changedIds) delete sessionPosting[id];
+  }
+  
+  const terms = new Set(entry.terms);
+  for (const thought of changedThoughts) {
+    entry.docs[thought.id] = addThoughtToIndex(sessionName, thought, terms);
+  }
+  
+  entry.terms = [...terms];
+  entry.thoughtCount = thoughts.length;
+  entry.openIssues = countOpenIssues(sessionName, thoughts);
+  entry.lastModified = lastModified.toISOString();
+  scheduleIndexPersist();
+}
+
+// Write the index to disk now (used at shutdown)
+async function flushSearchIndex() {
+  if (!indexPersistTimer) return;
+  clearTimeout(indexPersistTimer);
+  indexPersistTimer = null;
+  await writeFileAtomic(INDEX_PATH, JSON.stringify(searchIndex));
+}
+
+// Persist the index shortly after the last change; a lost write is repaired
+// by the staleness check at startup
+function scheduleIndexPersist() {
+  if (indexPersistTimer) return;
+  indexPersistTimer = setTimeout(() => {
+    indexPersistTimer = null;
+    writeFileAtomic(INDEX_PATH, JSON.stringify(searchIndex)).catch(error => {
+      console.error(`Warning: could not persist search index: ${error.message}`);
+    });
+  }, INDEX_PERSIST_DELAY_MS);
+  indexPersistTimer.unref();
+}
+
+// Load the persisted index and bring it up to date with stored sessions
+async function loadSearchIndex() {
+  try {
+    const data = JSON.parse(await fs.readFile(INDEX_PATH, 'utf8'));
+    if (data.version === INDEX_VERSION && data.sessions && data.archives && data.postings) {
+      searchIndex = data;
+    } else {
+      console.error('Search index format changed, rebuilding');
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Warning: could not read search index, rebuilding: ${error.message}`);
+    }
+  }
+  
+  await syncSearchIndex();
+}
+
+let lastIndexSync = 0;
+let lastChangeMarker = null;
+
+// Reindex sessions whose stored modification time differs from the index and
+// drop sessions that no longer exist. Other processes sharing SESSION_DIR
+// write sessions this process never sees, so searches call this (throttled)
+// before reading the index. Throttled calls skip the check while the storage
+// and archive change markers stay put, for up to INDEX_SYNC_INTERVAL_MS.
+async function syncSearchIndex({ throttle = false } = {}) {
+  const changeMarker = `${await storage.changeMarker()}:${await directoryMtime(ARCHIVE_DIR)}`;
+  if (throttle && changeMarker === lastChangeMarker && Date.now() - lastIndexSync < INDEX_SYNC_INTERVAL_MS) return;
+  lastIndexSync = Date.now();
+  lastChangeMarker = changeMarker;
+  
+  const stored = new Set();
+  let reindexed = 0;
+  
+  for (const { sessionName, lastModified } of await storage.list()) {
+    stored.add(sessionName);
+    try {
+      const entry = searchIndex.sessions[sessionName];
+      if (entry && entry.lastModified === lastModified.toISOString()) continue;
+      
+      const thoughts = await loadSession(sessionName);
+      indexSession(sessionName, thoughts, lastModified, await loadSessionMetadata(sessionName, thoughts));
+      reindexed++;
+    } catch (error) {
+      console.error(`Warning: could not index session '${sessionName}': ${error.message}`);
+    }
+  }
+  
+  let removed = 0;
+  for (const sessionName of Object.keys(searchIndex.sessions)) {
+    if (!stored.has(sessionName)) {
+      removeSessionFromIndex(sessionName);
+      removed++;
+    }
+  }
+  
+  // Archives never change once written, so only new and removed files matter
+  const archiveIds = new Set(await listRemovedSessionFiles('archive'));
+  for (const archiveId of archiveIds) {
+    if (searchIndex.archives[archiveId]) continue;
+    try {
+      indexArchive(archiveId, await readRemovedSession('archive', archiveId));
+      reindexed++;
+    } catch (error) {
+      console.error(`Warning: could not index archive '${archiveId}': ${error.message}`);
+    }
+  }
+  for (const archiveId of Object.keys(searchIndex.archives)) {
+    if (!archiveIds.has(archiveId)) {
+      removeArchiveFromIndex(archiveId);
+      removed++;
+    }
+  }
+  
+  if (reindexed > 0 || removed > 0) {
+    console.error(`Search index updated: ${reindexed} session(s) reindexed, ${removed} removed`);
+  }
+}
+
+// ============================================
+// Search query language
+// ============================================
+//
+// Supported syntax:
+//   margin risk             both words (implicit AND)
+//   "gross margin"          exact phrase
+//   margin OR risk          either word
+//   NOT risk, -risk         exclude
+//   (a OR b) AND c          grouping
+//   marg*                   prefix wildcard
+//   tag:risk  mode:critical  before:2026-03-01  after:2026-01-01
+//
+// Matches are ranked with BM25 over the search index.
+
+const SEARCH_FIELDS = ['tag', 'mode', 'before', 'after'];
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Split a query string into parentheses, operators and atoms
+function lexSearchQuery(query) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+    
+    const negated = ch === '-';
+    if (negated) i++;
+    
+    let field = null;
+    const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+    if (fieldMatch && SEARCH_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+    
+    let value;
+    let quoted = false;
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) throw new Error('Unterminated quote in search query');
+      value = query.slice(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      value = /^[^\s()"]*/.exec(query.slice(i))[0];
+      i += value.length;
+    }
+    
+    if (!value && !quoted) {
+      // -( negates a group; a dash on its own ("well - known") is
+      // punctuation, not a negation
+      if (!field && negated && query[i] === '(') tokens.push({ type: 'NOT' });
+      if (!field) continue;
+      throw new Error(`Missing search term after '${field}:'`);
+    }
+    
+    if (!field && !quoted && !negated && ['AND', 'OR', 'NOT'].includes(value)) {
+      tokens.push({ type: value });
+    } else {
+      tokens.push({ type: 'atom', field, value, quoted, negated });
+    }
+  }
+  
+  return tokens;
+}
+
+// Turn a single query atom into a query node (null if it has no searchable words)
+function buildQueryAtom({ field, value, quoted }) {
+  if (field === 'tag' || field === 'mode') {
+    const lower = value.toLowerCase();
+    const prefix = !quoted && lower.endsWith('*');
+    return { type: field, value: prefix ? lower.slice(0, -1) : lower, prefix };
+  }
+  
+  if (field === 'before' || field === 'after') {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Invalid date in ${field}: filter: ${value}`);
+    return { type: 'date', op: field, time };
+  }
+  
+  if (!quoted && value.endsWith('*')) {
+    const terms = tokenize(value.slice(0, -1));
+    if (terms.length === 1) return { type: 'prefix', prefix: terms[0] };
+    if (terms.length === 0) return null;
+    return { type: 'phrase', terms };
+  }
+  
+  const terms = tokenize(value);
+  if (terms.length === 0) return null;
+  if (terms.length === 1) return { type: 'term', term: terms[0] };
+  return { type: 'phrase', terms };
+}
+
+// Parse a query string into a tree of and/or/not nodes
+function parseSearchQuery(query) {
+  const tokens = lexSearchQuery(query);
+  let pos = 0;
+  
+  const peek = () => tokens[pos];
+  
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    const nodes = children.filter(Boolean);
+    if (nodes.length <= 1) return nodes[0] || null;
+    return { type: 'or', children: nodes };
+  }
+  
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      children.push(parseNot());
+    }
+    const nodes = children.filter(Boolean);
+    if (nodes.length <= 1) return nodes[0] || null;
+    return { type: 'and', children: nodes };
+  }
+  
+  function parseNot() {
+    if (peek()?.type === 'NOT') {
+      pos++;
+      const child = parseNot();
+      return child ? { type: 'not', child } : null;
+    }
+    return parsePrimary();
+  }
+  
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of search query');
+    pos++;
+    
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new Error('Missing closing parenthesis in search query');
+      pos++;
+      return node;
+    }
+    
+    if (token.type === 'atom') {
+      const node = buildQueryAtom(token);
+      return node && token.negated ? { type: 'not', child: node } : node;
+    }
+    
+    throw new Error(`Unexpected '${token.type}' in search query`);
+  }
+  
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected '${peek().type}' in search query`);
+  if (!tree) throw new Error('Search query has no searchable terms');
+  return tree;
+}
+
+// Collect the positive (non-negated) terms of a query for ranking and highlighting
+function collectQueryTerms(node, terms = []) {
+  switch (node.type) {
+    case 'term':
+      terms.push({ term: node.term, prefix: false });
+      break;
+    case 'prefix':
+      terms.push({ term: node.prefix, prefix: true });
+      break;
+    case 'phrase':
+      node.terms.forEach(term => terms.push({ term, prefix: false }));
+      break;
+    case 'and':
+    case 'or':
+      node.children.forEach(child => collectQueryTerms(child, terms));
+      break;
+  }
+  return terms;
+}
+
+// Index terms matched by a query term (prefix terms expand to every indexed word)
+function expandQueryTerm({ term, prefix }) {
+  if (!prefix) return searchIndex.postings[term] ? [term] : [];
+  return Object.keys(searchIndex.postings).filter(t => t.startsWith(term));
+}
+
+const docKey = (sessionName, thoughtId) => `${sessionName}#${thoughtId}`;
+
+// Check whether a thought's content contains the phrase terms as consecutive
+// words (tags and mode don't continue a phrase)
+function containsPhrase(thought, terms) {
+  const tokens = tokenize(thought.content);
+  for (let i = 0; i + terms.length <= tokens.length; i++) {
+    if (terms.every((term, j) => tokens[i + j] === term)) return true;
+  }
+  return false;
+}
+
+// Evaluate a query node to the set of matching doc keys within the scope
+async function evaluateQueryNode(node, ctx) {
+  const fromPostings = (terms) => {
+    const keys = new Set();
+    for (const term of terms) {
+      for (const sessionName of ctx.sessions) {
+        const ids = searchIndex.postings[term]?.[sessionName];
+        if (!ids) continue;
+        for (const id of Object.keys(ids)) {
+          const key = docKey(sessionName, id);
+          if (ctx.universe.has(key)) keys.add(key);
+        }
+      }
+    }
+    return keys;
+  };
+  const filterUniverse = (predicate) => {
+    const keys = new Set();
+    for (const [key, doc] of ctx.universe) {
+      if (predicate(doc)) keys.add(key);
+    }
+    return keys;
+  };
+  
+  switch (node.type) {
+    case 'term':
+      return fromPostings([node.term]);
+    case 'prefix':
+      return fromPostings(expandQueryTerm({ term: node.prefix, prefix: true }));
+    case 'phrase': {
+      let keys = null;
+      for (const term of node.terms) {
+        const termKeys = fromPostings([term]);
+        keys = keys === null ? termKeys : new Set([...keys].filter(key => termKeys.has(key)));
+      }
+      // Word positions aren't indexed, so verify candidates against their content
+      const matches = new Set();
+      for (const key of keys) {
+        const thought = await ctx.loadThought(key);
+        if (thought && containsPhrase(thought, node.terms)) matches.add(key);
+      }
+      return matches;
+    }
+    case 'tag':
+      return filterUniverse(doc => doc.tags.some(tag => node.prefix ? tag.startsWith(node.value) : tag === node.value));
+    case 'mode':
+      return filterUniverse(doc => node.prefix ? doc.mode.startsWith(node.value) : doc.mode === node.value);
+    case 'date':
+      return filterUniverse(doc => {
+        const time = Date.parse(doc.timestamp);
+        return node.op === 'before' ? time < node.time : time >= node.time;
+      });
+    case 'and': {
+      let keys = null;
+      for (const child of node.children) {
+        const childKeys = await evaluateQueryNode(child, ctx);
+        keys = keys === null ? childKeys : new Set([...keys].filter(key => childKeys.has(key)));
+        if (keys.size === 0) break;
+      }
+      return keys;
+    }
+    case 'or': {
+      const keys = new Set();
+      for (const child of node.children) {
+        for (const key of await evaluateQueryNode(child, ctx)) keys.add(key);
+      }
+      return keys;
+    }
+    case 'not': {
+      const excluded = await evaluateQueryNode(node.child, ctx);
+      return new Set([...ctx.universe.keys()].filter(key => !excluded.has(key)));
+    }
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+// Run a search query against the index, optionally limited to one session
+// or extended to archived sessions. Returns matches sorted by BM25 score,
+// plus the terms to highlight. Each match carries the `indexKey` its
+// session's thoughts are cached under in sessionCache.
+async function executeSearchQuery(query, { sessionName = null, includeRetracted = false, includeArchived = false } = {}) {
+  const tree = parseSearchQuery(query);
+  await syncSearchIndex({ throttle: true });
+  const scopes = sessionName
+    ? (searchIndex.sessions[sessionName] ? [{ key: sessionName, sessionName, entry: searchIndex.sessions[sessionName] }] : [])
+    : Object.entries(searchIndex.sessions).map(([name, entry]) => ({ key: name, sessionName: name, entry }));
+  if (includeArchived && !sessionName) {
+    for (const [archiveId, entry] of Object.entries(searchIndex.archives)) {
+      scopes.push({ key: archiveIndexKey(archiveId), sessionName: entry.sessionName, archiveId, entry });
+    }
+  }
+  const sessions = scopes.map(scope => scope.key);
+  
+  // Every visible thought in scope, keyed by indexKey#thoughtId
+  const universe = new Map();
+  let totalLength = 0;
+  for (const { key, sessionName: name, archiveId, entry } of scopes) {
+    for (const [id, doc] of Object.entries(entry.docs)) {
+      if (doc.retracted && !includeRetracted) continue;
+      universe.set(docKey(key, id), { ...doc, indexKey: key, sessionName: name, archiveId: archiveId || null, thoughtId: id });
+      totalLength += doc.length;
+    }
+  }
+  
+  const sessionCache = new Map();
+  const loadThought = async (key) => {
+    const doc = universe.get(key);
+    if (!sessionCache.has(doc.indexKey)) {
+      sessionCache.set(doc.indexKey, doc.archiveId
+        ? (await readRemovedSession('archive', doc.archiveId)).thoughts
+        : await loadSession(doc.sessionName));
+    }
+    return sessionCache.get(doc.indexKey).find(t => t.id === doc.thoughtId);
+  };
+  
+  const matched = await evaluateQueryNode(tree, { sessions, universe, loadThought });
+  
+  // BM25 over the positive query terms
+  const queryTerms = collectQueryTerms(tree);
+  const indexTerms = [...new Set(queryTerms.flatMap(expandQueryTerm))];
+  const docCount = universe.size;
+  const avgLength = docCount > 0 ? totalLength / docCount : 0;
+  // Document frequency counts only thoughts that could be returned, like docCount
+  const idf = new Map(indexTerms.map(term => {
+    let df = 0;
+    for (const name of sessions) {
+      for (const id of Object.keys(searchIndex.postings[term][name] || {})) {
+        if (universe.has(docKey(name, id))) df++;
+      }
+    }
+    return [term, Math.log(1 + (docCount - df + 0.5) / (df + 0.5))];
+  }));
+  
+  const results = [...matched].map(key => {
+    const doc = universe.get(key);
+    let score = 0;
+    for (const term of indexTerms) {
+      const tf = searchIndex.postings[term][doc.indexKey]?.[doc.thoughtId] || 0;
+      if (tf === 0) continue;
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (avgLength > 0 ? doc.length / avgLength : 0));
+      score += idf.get(term) * (tf * (BM25_K1 + 1)) / norm;
+    }
+    return {
+      sessionName: doc.sessionName,
+      indexKey: doc.indexKey,
+      archiveId: doc.archiveId,
+      thoughtId: doc.thoughtId,
+      timestamp: doc.timestamp,
+      score: Math.round(score * 1000) / 1000
+    };
+  });
+  
+  // Highest score first; filter-only matches fall back to most recent first
+  results.sort((a, b) => b.score - a.score || b.timestamp.localeCompare(a.timestamp));
+  
+  return { results, highlightTerms: queryTerms, sessionCache };
+}
+
+// Extract a snippet around the first matching word, with matches wrapped in **
+function buildSnippet(content, highlightTerms, maxLength = 160) {
+  const isMatch = (word) => {
+    const lower = word.toLowerCase();
+    return highlightTerms.some(({ term, prefix }) => prefix ? lower.startsWith(term) : lower === term);
+  };
+  
+  const wordPattern = /[\p{L}\p{N}_]+/gu;
+  let firstMatch = -1;
+  for (const match of content.matchAll(wordPattern)) {
+    if (isMatch(match[0])) {
+      firstMatch = match.index;
+      break;
+    }
+  }
+  
+  const start = firstMatch > 40 ? firstMatch - 40 : 0;
+  const end = Math.min(content.length, start + maxLength);
+  const window = content.slice(start, end).replace(wordPattern, word => isMatch(word) ? `**${word}**` : word);
+  
+  return (start > 0 ? "..." : "") + window + (end < content.length ? "..." : "");
+}
+
+// Build reasoning chain by following chain-forming links (builds_on and any
+// configured as such) within the session
+function buildReasoningChain(thoughtId, thoughts) {
+  const chain = [];
+  const visited = new Set();
+  let currentId = thoughtId;
+  
+  while (currentId && !visited.has(currentId) && chain.length < 20) {
+    visited.add(currentId);
+    const thought = thoughts.find(t => t.id === currentId);
+    
+    if (!thought) break;
+    
+    chain.unshift({
+      id: thought.id,
+      content_preview: thought.content.substring(0, 120) + (thought.content.length > 120 ? "..." : ""),
+      mode: thought.mode,
+      timestamp: thought.timestamp,
+      relationship_type: thought.relationship_type,
+      retracted: Boolean(thought.retracted)
+    });
+    
+    const parent = thought.relationships_out.find(rel => !rel.session && CHAIN_RELATIONSHIP_TYPES.has(rel.relationship_type));
+    if (parent) {
+      currentId = parent.thought_id;
+    } else {
+      break;
+    }
+  }
+  
+  const maxChainLength = 7;
+  if (chain.length > maxChainLength) {
+    const truncatedChain = chain.slice(-maxChainLength);
+    truncatedChain[0] = {
+      ...truncatedChain[0],
+      truncated: true,
+      note: `... (${chain.length - maxChainLength} earlier thoughts in chain)`
+    };
+    return { chain: truncatedChain, total_length: chain.length, truncated: true };
+  }
+  
+  return { chain: chain, total_length: chain.length, truncated: false };
+}
+
+// Hide retracted thoughts unless the caller explicitly asks for them
+function filterRetracted(thoughts, includeRetracted) {
+  return includeRetracted ? thoughts : thoughts.filter(t => !t.retracted);
+}
+
+// Order thoughts by timestamp, then ID, so a cursor can mark a place in the
+// order that holds while new thoughts are added
+function compareThoughtOrder(a, b) {
+  return (a.timestamp || '').localeCompare(b.timestamp || '') || a.id.localeCompare(b.id);
+}
+
+// Opaque view_session cursor: the sort key of the last thought returned
+function encodeViewCursor(thought, order) {
+  return Buffer.from(JSON.stringify({ t: thought.timestamp, id: thought.id, o: order })).toString('base64url');
+}
+
+function decodeViewCursor(cursor, order) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    key = null;
+  }
+  if (!key || typeof key.t !== 'string' || typeof key.id !== 'string') {
+    throw new Error('Invalid cursor');
+  }
+  if (key.o !== order) {
+    throw new Error(`Cursor was issued for order '${key.o}'; pass the same order to continue`);
+  }
+  return { timestamp: key.t, id: key.id };
+}
+
+// Keep only the requested fields of a thought; `content_preview` is the first
+// 150 characters of the content. The ID is always included.
+function projectThought(thought, fields) {
+  if (!fields || fields.length === 0) return thought;
+  const projected = { id: thought.id };
+  for (const field of fields) {
+    if (field === 'content_preview') {
+      projected.content_preview = thought.content.substring(0, 150) + (thought.content.length > 150 ? "..." : "");
+    } else if (field in thought) {
+      projected[field] = thought[field];
+    }
+  }
+  return projected;
+}
+
+// Snapshot the current state of a thought into its revision history
+// (the timestamp records when this version was superseded)
+function recordRevision(thought, action, reason) {
+  if (!thought.revisions) thought.revisions = [];
+  thought.revisions.push({
+    version: thought.revisions.length + 1,
+    action,
+    content: thought.content,
+    mode: thought.mode,
+    tags: [...(thought.tags || [])],
+    relates_to: thought.relates_to,
+    relationship_type: thought.relationship_type,
+    status: thought.status || null,
+    confidence: thought.confidence ?? null,
+    evidence: (thought.evidence || []).map(entry => ({ ...entry })),
+    retracted: Boolean(thought.retracted),
+    reason: reason || null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Why `thought` can't link to the referenced thought (of the given type) among
+// targetThoughts, as an error object, or null if it can
+function checkLinkTarget(thought, reference, targetThoughts) {
+  const thoughtRef = formatThoughtReference(reference.sessionName, reference.thoughtId);
+  if (!reference.sessionName && reference.thoughtId === thought.id) {
+    return { error: "Cannot reference self" };
+  }
+  const target = targetThoughts.find(t => t.id === reference.thoughtId);
+  if (!target) {
+    return { error: "Referenced thought not found", thought_id: thoughtRef };
+  }
+  if (target.retracted) {
+    return { error: "Cannot reference a retracted thought", thought_id: thoughtRef };
+  }
+  if (new Date(target.timestamp) > new Date(thought.timestamp)) {
+    return { error: "Cannot reference future thoughts", thought_id: thoughtRef };
+  }
+  if (thought.relationships_out.some(rel => rel.thought_id === target.id &&
+      (rel.session || null) === reference.sessionName && rel.relationship_type === reference.relationship_type)) {
+    return { error: "Link already exists", thought_id: thoughtRef, relationship_type: reference.relationship_type };
+  }
+  return null;
+}
+
+// Add a typed link from a thought of sessionName to target, a thought of
+// targetSession (null for the same session), with the backlink on target.
+// The first link a thought gets is also its relates_to.
+function addThoughtLink(thought, sessionName, target, targetSession, relationshipType) {
+  const backlink = { thought_id: thought.id, relationship_type: relationshipType };
+  const link = { thought_id: target.id, relationship_type: relationshipType };
+  if (targetSession) {
+    backlink.session = sessionName;
+    link.session = targetSession;
+  }
+  target.relationships_in.push(backlink);
+  thought.relationships_out.push(link);
+  if (!thought.relates_to) {
+    thought.relates_to = formatThoughtReference(targetSession, target.id);
+    thought.relationship_type = relationshipType;
+  }
+}
+
+// Remove the links of a thought of sessionName to the referenced thought (of
+// one relationship type, or all of them) with their backlinks. For a link to
+// another session, pass that session's thoughts as targetThoughts; only the
+// backlinks from sessionName go, as a fork's copy of the thought shares its
+// ID. If the link named by relates_to goes, the next remaining link takes its
+// place. Returns the number of links removed.
+function removeThoughtLinks(thought, sessionName, targetThoughts, { sessionName: targetSession, thoughtId: targetId }, relationshipType = null) {
+  const ofType = rel => !relationshipType || rel.relationship_type === relationshipType;
+  const kept = thought.relationships_out.filter(rel =>
+    !(rel.thought_id === targetId && (rel.session || null) === targetSession && ofType(rel)));
+  const removed = thought.relationships_out.length - kept.length;
+  thought.relationships_out = kept;
+  
+  // Backlinks name the source session only when it differs from the target's
+  const backlinkSession = targetSession ? sessionName : null;
+  const target = targetThoughts.find(t => t.id === targetId);
+  if (target) {
+    target.relationships_in = target.relationships_in.filter(rel =>
+      !(rel.thought_id === thought.id && (rel.session || null) === backlinkSession && ofType(rel)));
+  }
+  
+  promoteNextLink(thought);
+  return removed;
+}
+
+// After links of a thought were removed: if relates_to named one of them, the
+// next remaining link takes its place
+function promoteNextLink(thought) {
+  syncRelatesTo(thought);
+  const [next] = thought.relationships_out;
+  if (!thought.relates_to && next) {
+    thought.relates_to = formatThoughtReference(next.session, next.thought_id);
+    thought.relationship_type = next.relationship_type;
+  }
+}
+
+// Remove the link named by the relates_to of a thought of sessionName with its
+// backlink; targetThoughts are the thoughts of the session it points into
+function unlinkThought(thought, sessionName, targetThoughts) {
+  if (!thought.relates_to) return;
+  removeThoughtLinks(thought, sessionName, targetThoughts, parseThoughtReference(thought.relates_to), thought.relationship_type);
+}
+
+// ============================================
+// Cross-session references
+// ============================================
+//
+// A thought in another session is referenced as `session#thoughtId`. The
+// linking thought stores the qualified reference in relates_to, and both
+// relationship entries carry a `session` field naming the other side; links
+// within a session have no `session` field.
+
+// Split a reference into { sessionName, thoughtId }; sessionName is null for
+// a plain thought ID or a reference to currentSession
+function parseThoughtReference(reference, currentSession = null) {
+  const hash = reference.lastIndexOf('#');
+  if (hash === -1) {
+    return { sessionName: null, thoughtId: reference };
+  }
+  const sessionName = reference.slice(0, hash);
+  const thoughtId = reference.slice(hash + 1);
+  validateSessionName(sessionName);
+  if (!thoughtId) {
+    throw new Error(`Invalid thought reference '${reference}'. Expected session#thoughtId`);
+  }
+  return { sessionName: sessionName === currentSession ? null : sessionName, thoughtId };
+}
+
+function formatThoughtReference(sessionName, thoughtId) {
+  return sessionName ? `${sessionName}#${thoughtId}` : thoughtId;
+}
+
+// Sessions that the given thoughts link to or are linked from
+function linkedSessionNames(thoughts) {
+  const names = new Set();
+  for (const thought of thoughts) {
+    for (const rel of [...(thought.relationships_in || []), ...(thought.relationships_out || [])]) {
+      if (rel.session) names.add(rel.session);
+    }
+  }
+  return [...names];
+}
+
+// Run fn(thoughts) holding the locks of a session, of every session linked to
+// it and of extraNames. The linked sessions are read before locking, so they
+// are checked again under the locks and the attempt repeated if they changed.
+async function withLinkedSessionLocks(sessionName, extraNames, fn) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const names = [sessionName, ...extraNames, ...linkedSessionNames(await loadSession(sessionName))];
+    let linksChanged = false;
+    const result = await withSessionLocks(names, async () => {
+      const thoughts = await loadSession(sessionName);
+      if (linkedSessionNames(thoughts).some(name => !names.includes(name))) {
+        linksChanged = true;
+        return null;
+      }
+      return fn(thoughts);
+    });
+    if (!linksChanged) return result;
+  }
+  throw new Error(`Links to session ${sessionName} kept changing; try again`);
+}
+
+// Point links held by other sessions at a renamed session. Call with the
+// locks of every linked session held.
+async function renameSessionLinks(oldName, newName, thoughts) {
+  const updated = [];
+  for (const linkedName of linkedSessionNames(thoughts)) {
+    if (linkedName === newName) continue;
+    const linkedThoughts = await loadSession(linkedName);
+    const changed = new Set();
+    for (const thought of linkedThoughts) {
+      for (const rel of [...thought.relationships_in, ...thought.relationships_out]) {
+        if (rel.session === oldName) {
+          rel.session = newName;
+          changed.add(thought);
+        }
+      }
+      if (thought.relates_to && thought.relates_to.startsWith(`${oldName}#`)) {
+        thought.relates_to = formatThoughtReference(newName, thought.relates_to.slice(oldName.length + 1));
+      }
+      // Fork and merge markers name the other session too
+      if (thought.fork?.parent === oldName) {
+        thought.fork.parent = newName;
+        changed.add(thought);
+      }
+      if (thought.merge?.branch === oldName) {
+        thought.merge.branch = newName;
+        changed.add(thought);
+      }
+    }
+    if (changed.size > 0) {
+      await saveSession(linkedName, linkedThoughts, [...changed]);
+      updated.push(linkedName);
+    }
+  }
+  return updated;
+}
+
+// Remove links between a session that is being deleted (or archived) and
+// other sessions. Links from other sessions to it are dropped with a
+// revision noting why.
+// Call with the locks of every linked session held.
+async function detachSessionLinks(sessionName, thoughts, reason = `Linked session ${sessionName} was deleted`) {
+  const updated = [];
+  for (const linkedName of linkedSessionNames(thoughts)) {
+    const linkedThoughts = await loadSession(linkedName);
+    const changed = new Set();
+    for (const thought of linkedThoughts) {
+      const linksOut = thought.relationships_out.filter(rel => rel.session === sessionName);
+      if (linksOut.length > 0) {
+        recordRevision(thought, "unlink", reason);
+        thought.relationships_out = thought.relationships_out.filter(rel => rel.session !== sessionName);
+        promoteNextLink(thought);
+        changed.add(thought);
+      }
+      if (thought.relationships_in.some(rel => rel.session === sessionName)) {
+        thought.relationships_in = thought.relationships_in.filter(rel => rel.session !== sessionName);
+        changed.add(thought);
+      }
+    }
+    if (changed.size > 0) {
+      await saveSession(linkedName, linkedThoughts, [...changed]);
+      updated.push(linkedName);
+    }
+  }
+  return updated;
+}
+
+// ============================================
+// Thought graph
+// ============================================
+//
+// Unlike buildReasoningChain, which follows a single chain-forming parent, the
+// graph covers every relationship in both directions. Edges point from the
+// linking thought to the thought it links to (relationships_out).
+
+const GRAPH_FORMATS = ["json", "mermaid", "dot"];
+// Colors used for each thinking mode in rendered graphs and HTML exports
+const MODE_COLORS = {
+  linear: "#4a78c2",
+  creative: "#b05cc4",
+  critical: "#c94a4a",
+  strategic: "#3a9a5b",
+  empathetic: "#d08a2e"
+};
+
+// Collect the edges between the given thoughts, optionally of certain types
+function collectThoughtEdges(thoughts, relationshipTypes) {
+  const ids = new Set(thoughts.map(t => t.id));
+  const edges = [];
+  for (const thought of thoughts) {
+    for (const rel of thought.relationships_out || []) {
+      if (rel.session || !ids.has(rel.thought_id)) continue;
+      if (relationshipTypes && !relationshipTypes.includes(rel.relationship_type)) continue;
+      edges.push({ from: thought.id, to: rel.thought_id, type: rel.relationship_type });
+    }
+  }
+  return edges;
+}
+
+// Breadth-first walk from a thought; returns a Map of reached IDs to distance
+function traverseThoughtGraph(startId, edges, { depth, direction }) {
+  const neighbours = new Map();
+  const addNeighbour = (from, to) => {
+    if (!neighbours.has(from)) neighbours.set(from, []);
+    neighbours.get(from).push(to);
+  };
+  for (const edge of edges) {
+    if (direction !== 'incoming') addNeighbour(edge.from, edge.to);
+    if (direction !== 'outgoing') addNeighbour(edge.to, edge.from);
+  }
+  
+  const distances = new Map([[startId, 0]]);
+  let frontier = [startId];
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of neighbours.get(id) || []) {
+        if (!distances.has(neighbour)) {
+          distances.set(neighbour, level);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+// Find directed cycles with a depth-first search; each cycle is reported once,
+// as the list of thought IDs starting from its smallest ID
+function findThoughtCycles(nodeIds, edges) {
+  const outgoing = new Map(nodeIds.map(id => [id, []]));
+  for (const edge of edges) outgoing.get(edge.from).push(edge.to);
+  
+  const cycles = new Map();
+  const state = new Map();
+  const stack = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    stack.push(id);
+    for (const next of outgoing.get(id)) {
+      if (state.get(next) === 'active') {
+        const cycle = stack.slice(stack.indexOf(next));
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const canonical = [...cycle.slice(start), ...cycle.slice(0, start)];
+        cycles.set(canonical.join('>'), canonical);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+  };
+  nodeIds.forEach(id => { if (!state.has(id)) visit(id); });
+  return [...cycles.values()];
+}
+
+function graphLabel(thought, number, maxLength = 60) {
+  const preview = thought.content.replace(/\s+/g, ' ').trim();
+  const text = preview.length > maxLength ? `${preview.substring(0, maxLength)}...` : preview;
+  return `#${number} ${thought.mode}${thought.retracted ? ' (retracted)' : ''}: ${text}`;
+}
+
+function renderGraphMermaid(nodes, edges, numbers) {
+  const keys = new Map(nodes.map((node, i) => [node.id, `t${i + 1}`]));
+  const escape = (text) => text.replace(/"/g, '#quot;');
+  const lines = ['graph BT'];
+  for (const node of nodes) {
+    lines.push(`  ${keys.get(node.id)}["${escape(graphLabel(node, numbers.get(node.id)))}"]`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${keys.get(edge.from)} -->|${edge.type}| ${keys.get(edge.to)}`);
+  }
+  for (const [mode, color] of Object.entries(MODE_COLORS)) {
+    const members = nodes.filter(node => node.mode === mode).map(node => keys.get(node.id));
+    if (members.length > 0) {
+      lines.push(`  classDef ${mode} stroke:${color},stroke-width:2px`);
+      lines.push(`  class ${members.join(',')} ${mode}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function renderGraphDot(sessionName, nodes, edges, numbers) {
+  const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    `digraph ${quote(sessionName)} {`,
+    '  rankdir=BT;',
+    '  node [shape=box, style=rounded];'
+  ];
+  for (const node of nodes) {
+    lines.push(`  ${quote(node.id)} [label=${quote(graphLabel(node, numbers.get(node.id)))}${node.retracted ? ', style="rounded,dashed"' : ''}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.type)}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Build the graph of a whole session, or of the thoughts within `depth` links
+// of `thoughtId`
+function buildThoughtGraph(thoughts, { thoughtId, depth, direction, relationshipTypes }) {
+  const edges = collectThoughtEdges(thoughts, relationshipTypes);
+  const distances = thoughtId ? traverseThoughtGraph(thoughtId, edges, { depth, direction }) : null;
+  const nodes = distances ? thoughts.filter(t => distances.has(t.id)) : thoughts;
+  const nodeIds = new Set(nodes.map(t => t.id));
+  const subgraphEdges = edges.filter(edge => nodeIds.has(edge.from) && nodeIds.has(edge.to));
+  // Links to and from other sessions aren't traversed, only listed
+  const externalLinks = nodes.flatMap(t => [
+    ...(t.relationships_out || []).filter(rel => rel.session).map(rel => ({ from: t.id, to: formatThoughtReference(rel.session, rel.thought_id), type: rel.relationship_type })),
+    ...(t.relationships_in || []).filter(rel => rel.session).map(rel => ({ from: formatThoughtReference(rel.session, rel.thought_id), to: t.id, type: rel.relationship_type }))
+  ]).filter(link => !relationshipTypes || relationshipTypes.includes(link.type));
+  const linked = new Set([...subgraphEdges, ...externalLinks].flatMap(edge => [edge.from, edge.to]));
+  
+  return {
+    nodes,
+    edges: subgraphEdges,
+    externalLinks,
+    distances,
+    cycles: findThoughtCycles([...nodeIds], subgraphEdges),
+    orphans: nodes.filter(t => !linked.has(t.id)).map(t => t.id)
+  };
+}
+
+// ============================================
+// Open issues
+// ============================================
+//
+// Two kinds of issue are tracked within a session: contradictions (a thought
+// that `contradicts` another, until a later thought synthesizes or refines
+// either side, or it is resolved explicitly) and questions (thoughts with
+// status "question", until resolved). Resolving sets the issue thought's
+// status to "resolved" and records the resolving thought in `resolution`.
+
+const RESOLVING_RELATIONSHIPS = ["synthesizes", "refines"];
+
+// Whether a later, non-retracted thought in the session synthesizes or refines `thought`
+function hasLaterResolution(thought, after, thoughtsById) {
+  return (thought.relationships_in || []).some(rel => {
+    if (rel.session || !RESOLVING_RELATIONSHIPS.includes(rel.relationship_type)) return false;
+    const resolver = thoughtsById.get(rel.thought_id);
+    return Boolean(resolver) && !resolver.retracted && resolver.timestamp > after;
+  });
+}
+
+function issuePreview(thought) {
+  return {
+    id: thought.id,
+    content_preview: thought.content.substring(0, 150) + (thought.content.length > 150 ? "..." : ""),
+    mode: thought.mode,
+    tags: thought.tags || [],
+    timestamp: thought.timestamp
+  };
+}
+
+// Unresolved contradictions and questions in a session, in session order.
+// `type` is "all", "contradictions" or "questions".
+function findOpenIssues(sessionName, thoughts, type = 'all') {
+  const thoughtsById = new Map(thoughts.map(t => [t.id, t]));
+  const issues = [];
+  
+  for (const thought of thoughts) {
+    if (thought.retracted || thought.status === 'resolved') continue;
+    
+    if (thought.status === 'question' && type !== 'contradictions') {
+      issues.push({ type: "question", sessionName, thoughtId: thought.id, question: issuePreview(thought) });
+    }
+    if (type === 'questions') continue;
+    
+    for (const rel of thought.relationships_out || []) {
+      if (rel.session || rel.relationship_type !== 'contradicts') continue;
+      const claim = thoughtsById.get(rel.thought_id);
+      if (!claim || claim.retracted) continue;
+      if (hasLaterResolution(thought, thought.timestamp, thoughtsById) ||
+          hasLaterResolution(claim, thought.timestamp, thoughtsById)) continue;
+      issues.push({ type: "contradiction", sessionName, thoughtId: thought.id, claim: issuePreview(claim), objection: issuePreview(thought) });
+    }
+  }
+  
+  return issues;
+}
+
+// How many contradictions and questions findOpenIssues reports for a session
+function countOpenIssues(sessionName, thoughts) {
+  const issues = findOpenIssues(sessionName, thoughts);
+  return {
+    contradictions: issues.filter(issue => issue.type === 'contradiction').length,
+    questions: issues.filter(issue => issue.type === 'question').length
+  };
+}
+
+// ============================================
+// Confidence and evidence
+// ============================================
+//
+// A thought may carry a `confidence` between 0 and 1 and `evidence` entries:
+// a URL, a file path, a quotation or another thought of the session, each
+// with an optional note and metadata. Belief propagates along `supports` and
+// `contradicts` links within a session: each supporter moves a thought's
+// belief from its confidence towards 1, and each contradiction towards 0, in
+// proportion to the supporter's or contradictor's own belief. A thought
+// without a confidence starts from 0.5 when anything supports or contradicts
+// it, and otherwise has no belief.
+
+const EVIDENCE_TYPES = ["url", "file", "quote", "thought"];
+// How far one fully believed supporter or contradiction moves a thought
+const BELIEF_LINK_WEIGHTS = { supports: 0.5, contradicts: 0.5 };
+const BELIEF_NEUTRAL = 0.5;
+const BELIEF_MAX_ITERATIONS = 50;
+// Thoughts listed as the least believed in a session's belief summary
+const BELIEF_WEAKEST_LIMIT = 3;
+
+const EVIDENCE_INPUT = z.object({
+  type: z.enum(EVIDENCE_TYPES).describe("url, file (a path), quote (the quoted text) or thought (the ID of a thought in this session)"),
+  value: z.string().min(1).describe("The URL, file path, quotation or thought ID"),
+  note: z.string().optional().describe("What this evidence shows"),
+  metadata: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()])).optional()
+    .describe("Further details, e.g. author, page or date accessed")
+});
+
+// Stored evidence entries for validated EVIDENCE_INPUT entries
+function createEvidence(entries) {
+  const added = new Date().toISOString();
+  return (entries || []).map(entry => ({
+    id: `evidence_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    type: entry.type,
+    value: entry.value,
+    note: entry.note || null,
+    metadata: entry.metadata || {},
+    added
+  }));
+}
+
+// Why `thought` can't cite the given evidence entries, as an error object, or
+// null if it can. Thought evidence must name another live thought of the session.
+function checkEvidence(thought, entries, thoughts) {
+  for (const entry of entries || []) {
+    if (entry.type !== 'thought') continue;
+    if (entry.value === thought.id) {
+      return { error: "Thought cannot be its own evidence", thought_id: entry.value };
+    }
+    const cited = thoughts.find(t => t.id === entry.value);
+    if (!cited) {
+      return { error: "Evidence thought not found", thought_id: entry.value };
+    }
+    if (cited.retracted) {
+      return { error: "Cannot cite a retracted thought as evidence", thought_id: entry.value };
+    }
+  }
+  return null;
+}
+
+function roundBelief(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Belief in each scored thought of a session, keyed by ID: its own
+// confidence, the propagated belief and how many live thoughts support and
+// contradict it. Retracted thoughts and links to other sessions don't count.
+function computeBeliefs(thoughts) {
+  const live = thoughts.filter(t => !t.retracted);
+  const liveById = new Map(live.map(t => [t.id, t]));
+  const inputs = new Map(live.map(t => [t.id, []]));
+  for (const thought of live) {
+    for (const rel of thought.relationships_out || []) {
+      if (rel.session || !(rel.relationship_type in BELIEF_LINK_WEIGHTS) || !inputs.has(rel.thought_id)) continue;
+      inputs.get(rel.thought_id).push({ from: thought.id, type: rel.relationship_type });
+    }
+  }
+  
+  const priors = new Map();
+  for (const thought of live) {
+    if (typeof thought.confidence === 'number' || inputs.get(thought.id).length > 0) {
+      priors.set(thought.id, thought.confidence ?? BELIEF_NEUTRAL);
+    }
+  }
+  
+  // Links point back in time, so this settles within a pass or two;
+  // the iteration cap only matters for cycles from hand-edited files
+  const beliefs = new Map(priors);
+  for (let i = 0; i < BELIEF_MAX_ITERATIONS; i++) {
+    let delta = 0;
+    for (const [id, prior] of priors) {
+      const remaining = { supports: 1, contradicts: 1 };
+      for (const input of inputs.get(id)) {
+        const inputBelief = beliefs.get(input.from);
+        if (inputBelief === undefined) continue;
+        remaining[input.type] *= 1 - inputBelief * BELIEF_LINK_WEIGHTS[input.type];
+      }
+      const belief = prior + (1 - prior) * (1 - remaining.supports) - prior * (1 - remaining.contradicts);
+      delta = Math.max(delta, Math.abs(belief - beliefs.get(id)));
+      beliefs.set(id, belief);
+    }
+    if (delta < 1e-6) break;
+  }
+  
+  const result = new Map();
+  for (const [id, belief] of beliefs) {
+    const thoughtInputs = inputs.get(id);
+    result.set(id, {
+      confidence: liveById.get(id).confidence ?? null,
+      belief: roundBelief(belief),
+      supports: thoughtInputs.filter(input => input.type === 'supports').length,
+      contradicts: thoughtInputs.filter(input => input.type === 'contradicts').length
+    });
+  }
+  return result;
+}
+
+// Aggregate belief of a session: the mean belief of its scored thoughts, with
+// the least believed ones
+function summarizeBeliefs(thoughts) {
+  const beliefs = computeBeliefs(thoughts);
+  const scored = [...beliefs.entries()];
+  const weakest = scored
+    .sort(([, a], [, b]) => a.belief - b.belief)
+    .slice(0, BELIEF_WEAKEST_LIMIT)
+    .map(([id, entry]) => ({ ...issuePreview(thoughts.find(t => t.id === id)), ...entry }));
+  return {
+    score: scored.length > 0 ? roundBelief(scored.reduce((sum, [, entry]) => sum + entry.belief, 0) / scored.length) : null,
+    scoredThoughts: scored.length,
+    evidenceCount: thoughts.filter(t => !t.retracted).reduce((sum, t) => sum + (t.evidence || []).length, 0),
+    weakest
+  };
+}
+
+// ============================================
+// Checkpoints
+// ============================================
+//
+// A checkpoint is a thought whose content is an extractive digest of the
+// thoughts before it: the highest-scoring thoughts by relationship
+// centrality, tag overlap, mode coverage and recency, quoted by their lead
+// sentence. No model is involved. Checkpoints carry a `checkpoint` object
+// and, like fork and merge markers, are never themselves summarized.
+
+const CHECKPOINT_SCOPES = ["all", "since_checkpoint"];
+const CHECKPOINT_TAG = "checkpoint";
+// Thoughts returned by think's since-checkpoint context
+const CHECKPOINT_CONTEXT_LIMIT = 20;
+// Score weights; they sum to 1
+const DIGEST_WEIGHTS = { centrality: 0.4, recency: 0.25, tags: 0.2, mode: 0.15 };
+
+function isCheckpoint(thought) {
+  return Boolean(thought.checkpoint);
+}
+
+// Checkpoints, fork/merge markers and template prompts record session events
+// or structure rather than reasoning
+function isMarkerThought(thought) {
+  return Boolean(thought.checkpoint || thought.fork || thought.merge || thought.template);
+}
+
+// Latest non-retracted checkpoint and the live thoughts recorded after it
+function thoughtsSinceCheckpoint(thoughts) {
+  let start = 0;
+  let checkpoint = null;
+  for (let i = thoughts.length - 1; i >= 0; i--) {
+    if (isCheckpoint(thoughts[i]) && !thoughts[i].retracted) {
+      checkpoint = thoughts[i];
+      start = i + 1;
+      break;
+    }
+  }
+  const since = thoughts.slice(start).filter(t => !t.retracted && !isMarkerThought(t));
+  return { checkpoint, since };
+}
+
+// First sentence of a thought, shortened to maxLength
+function leadSentence(content, maxLength = 200) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const match = text.match(/^.+?[.!?](?=\s|$)/);
+  const sentence = match ? match[0] : text;
+  return sentence.length > maxLength ? sentence.substring(0, maxLength - 3) + "..." : sentence;
+}
+
+// Score each candidate between 0 and 1. Centrality counts links to other
+// live thoughts anywhere in the session, so an early thought that later
+// ones build on still ranks high.
+function scoreDigestCandidates(thoughts, candidates) {
+  const live = new Set(thoughts.filter(t => !t.retracted && !isMarkerThought(t)).map(t => t.id));
+  const degree = (thought) => [...(thought.relationships_in || []), ...(thought.relationships_out || [])]
+    .filter(rel => rel.session || live.has(rel.thought_id)).length;
+  
+  const tagCounts = new Map();
+  const modeCounts = new Map();
+  for (const thought of candidates) {
+    for (const tag of new Set(thought.tags || [])) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    modeCounts.set(thought.mode, (modeCounts.get(thought.mode) || 0) + 1);
+  }
+  // Tags shared with other candidates mark recurring themes
+  const tagWeight = (thought) => [...new Set(thought.tags || [])]
+    .reduce((sum, tag) => sum + tagCounts.get(tag) - 1, 0);
+  
+  const maxDegree = Math.max(1, ...candidates.map(degree));
+  const maxTagWeight = Math.max(1, ...candidates.map(tagWeight));
+  const last = Math.max(1, candidates.length - 1);
+  
+  return candidates.map((thought, i) => {
+    const score =
+      DIGEST_WEIGHTS.centrality * degree(thought) / maxDegree +
+      DIGEST_WEIGHTS.recency * i / last +
+      DIGEST_WEIGHTS.tags * tagWeight(thought) / maxTagWeight +
+      // Thoughts in a rarely used mode add perspective the rest lack
+      DIGEST_WEIGHTS.mode * (1 - (modeCounts.get(thought.mode) - 1) / candidates.length);
+    return { thought, position: i, score: Math.round(score * 1000) / 1000 };
+  });
+}
+
+// Build an extractive digest of a session, or of what follows its last checkpoint
+function buildSessionDigest(sessionName, thoughts, { scope = 'all', maxThoughts = 8 } = {}) {
+  const candidates = scope === 'since_checkpoint'
+    ? thoughtsSinceCheckpoint(thoughts).since
+    : thoughts.filter(t => !t.retracted && !isMarkerThought(t));
+  if (candidates.length === 0) return null;
+  
+  const scored = scoreDigestCandidates(thoughts, candidates);
+  const ranked = [...scored].sort((a, b) => b.score - a.score || b.position - a.position);
+  
+  // Best thought of each mode first, then the rest by score
+  const selected = new Set();
+  for (const entry of ranked) {
+    if (selected.size >= maxThoughts) break;
+    if (![...selected].some(s => s.thought.mode === entry.thought.mode)) selected.add(entry);
+  }
+  for (const entry of ranked) {
+    if (selected.size >= maxThoughts) break;
+    selected.add(entry);
+  }
+  const highlights = [...selected]
+    .sort((a, b) => a.position - b.position)
+    .map(({ thought, score }) => ({
+      id: thought.id,
+      mode: thought.mode,
+      tags: thought.tags || [],
+      timestamp: thought.timestamp,
+      score,
+      excerpt: leadSentence(thought.content)
+    }));
+  
+  const modes = {};
+  const tagCounts = new Map();
+  for (const thought of candidates) {
+    modes[thought.mode] = (modes[thought.mode] || 0) + 1;
+    for (const tag of thought.tags || []) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+  }
+  const topTags = [...tagCounts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([tag, count]) => ({ tag, count }));
+  
+  const openIssues = countOpenIssues(sessionName, thoughts);
+  
+  const from = candidates[0].timestamp;
+  const to = candidates[candidates.length - 1].timestamp;
+  const lines = [
+    `Checkpoint of ${candidates.length} thought${candidates.length === 1 ? '' : 's'} (${from} to ${to}).`,
+    `Modes: ${Object.entries(modes).map(([mode, count]) => `${mode} ${count}`).join(', ')}.` +
+      (topTags.length > 0 ? ` Tags: ${topTags.map(t => t.tag).join(', ')}.` : ''),
+    ...highlights.map(h => `- [${h.mode}] ${h.excerpt}`)
+  ];
+  if (openIssues.contradictions + openIssues.questions > 0) {
+    lines.push(`Open: ${openIssues.contradictions} contradiction(s), ${openIssues.questions} question(s).`);
+  }
+  
+  return {
+    scope,
+    thoughtCount: candidates.length,
+    from,
+    to,
+    modes,
+    topTags,
+    openIssues,
+    highlights,
+    text: lines.join('\n')
+  };
+}
+
+// New marker thought tagged with `tag`; `fields` holds its marker object
+function createMarkerThought(content, tag, fields) {
+  return {
+    id: `thought_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+    content,
+    mode: "linear",
+    tags: [tag],
+    timestamp: new Date().toISOString(),
+    relates_to: null,
+    relationship_type: null,
+    relationships_in: [],
+    relationships_out: [],
+    status: null,
+    revisions: [],
+    retracted: false,
+    ...fields
+  };
+}
+
+// New thought holding a digest
+function createCheckpointThought(digest) {
+  return createMarkerThought(digest.text, CHECKPOINT_TAG, {
+    checkpoint: {
+      scope: digest.scope,
+      thoughtCount: digest.thoughtCount,
+      from: digest.from,
+      to: digest.to,
+      highlights: digest.highlights.map(h => h.id)
+    }
+  });
+}
+
+// What think returns with include_context: the latest checkpoint and the
+// most recent thoughts recorded since it
+function checkpointContext(thoughts) {
+  const { checkpoint, since } = thoughtsSinceCheckpoint(thoughts);
+  const recent = since.slice(-CHECKPOINT_CONTEXT_LIMIT);
+  return {
+    checkpoint: checkpoint ? {
+      id: checkpoint.id,
+      timestamp: checkpoint.timestamp,
+      digest: checkpoint.content
+    } : null,
+    since: recent.map(t => ({
+      id: t.id,
+      content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
+      mode: t.mode,
+      tags: t.tags || [],
+      timestamp: t.timestamp
+    })),
+    count: recent.length,
+    totalSince: since.length,
+    omitted: since.length - recent.length
+  };
+}
+
+// ============================================
+// Session forks
+// ============================================
+//
+// A fork copies a session up to one thought into a new session, keeping the
+// thought IDs, and ends with a fork marker: a thought carrying
+// `fork: { parent, thoughtId, ... }` that links (builds_on) to the fork point
+// in the parent. Being a cross-session link, it follows renames and is
+// dropped if the parent is deleted. Merging appends the thoughts the branch
+// added (those whose IDs the parent lacks) to the parent, followed by a merge
+// marker carrying `merge: { branch, thoughtIds, ... }`.
+
+const FORK_TAG = "fork";
+const MERGE_TAG = "merge";
+
+function findForkMarker(thoughts) {
+  return thoughts.find(t => t.fork) || null;
+}
+
+// Drop relates_to if it no longer matches one of the thought's links (target
+// and type, as a thought may link to the same target more than once)
+function syncRelatesTo(thought) {
+  if (thought.relates_to && !thought.relationships_out.some(rel =>
+      formatThoughtReference(rel.session, rel.thought_id) === thought.relates_to &&
+      (!thought.relationship_type || rel.relationship_type === thought.relationship_type))) {
+    thought.relates_to = null;
+    thought.relationship_type = null;
+  }
+}
+
+// Copies of thoughts[0..upTo] for a fork. Links within the copied range and
+// links out to other sessions are kept; links from later thoughts and from
+// other sessions are dropped, as they point at the parent's thoughts.
+function copyForkThoughts(thoughts, upTo) {
+  const copies = JSON.parse(JSON.stringify(thoughts.slice(0, upTo + 1)));
+  const ids = new Set(copies.map(t => t.id));
+  for (const thought of copies) {
+    thought.relationships_in = thought.relationships_in.filter(rel => !rel.session && ids.has(rel.thought_id));
+    thought.relationships_out = thought.relationships_out.filter(rel => rel.session || ids.has(rel.thought_id));
+    syncRelatesTo(thought);
+  }
+  return copies;
+}
+
+// Copies of the thoughts a branch added, for appending to its parent. Links
+// to the parent become links within it; links to thoughts the parent won't
+// have are dropped, as are links from other sessions.
+function copyMergedThoughts(branchName, branchThoughts, parentName, parentThoughts) {
+  const parentIds = new Set(parentThoughts.map(t => t.id));
+  const merged = JSON.parse(JSON.stringify(
+    branchThoughts.filter(t => !parentIds.has(t.id) && !isMarkerThought(t))));
+  const mergedIds = new Set(merged.map(t => t.id));
+  const localise = rel => rel.session === parentName
+    ? { thought_id: rel.thought_id, relationship_type: rel.relationship_type }
+    : rel;
+  
+  for (const thought of merged) {
+    thought.relationships_out = thought.relationships_out.map(localise).filter(rel =>
+      rel.session ? rel.session !== branchName : parentIds.has(rel.thought_id) || mergedIds.has(rel.thought_id));
+    thought.relationships_in = thought.relationships_in.map(localise).filter(rel =>
+      !rel.session && mergedIds.has(rel.thought_id));
+    if (thought.relates_to && parseThoughtReference(thought.relates_to).sessionName === parentName) {
+      thought.relates_to = parseThoughtReference(thought.relates_to).thoughtId;
+    }
+    syncRelatesTo(thought);
+  }
+  return merged;
+}
+
+// Add the backlinks other sessions need for the outgoing links of thoughts
+// newly copied into sessionName. Call with those sessions' locks held.
+async function addExternalBacklinks(sessionName, thoughts) {
+  const bySession = new Map();
+  for (const thought of thoughts) {
+    for (const rel of thought.relationships_out) {
+      if (!rel.session) continue;
+      if (!bySession.has(rel.session)) bySession.set(rel.session, []);
+      bySession.get(rel.session).push({ from: thought.id, rel });
+    }
+  }
+  
+  const updated = [];
+  for (const [linkedName, links] of bySession) {
+    const linkedThoughts = await loadSession(linkedName);
+    const changed = new Set();
+    for (const { from, rel } of links) {
+      const target = linkedThoughts.find(t => t.id === rel.thought_id);
+      if (!target) continue;
+      target.relationships_in.push({ thought_id: from, relationship_type: rel.relationship_type, session: sessionName });
+      changed.add(target);
+    }
+    if (changed.size > 0) {
+      await saveSession(linkedName, linkedThoughts, [...changed]);
+      updated.push(linkedName);
+    }
+  }
+  return updated;
+}
+
+// Ancestors of a session, nearest first, following fork markers
+async function forkLineage(thoughts) {
+  const lineage = [];
+  const seen = new Set();
+  let marker = findForkMarker(thoughts);
+  while (marker && !seen.has(marker.fork.parent)) {
+    seen.add(marker.fork.parent);
+    const parentThoughts = await loadSession(marker.fork.parent);
+    lineage.push({
+      sessionName: marker.fork.parent,
+      thoughtId: marker.fork.thoughtId,
+      forkedAt: marker.fork.forked_at,
+      exists: parentThoughts.length > 0
+    });
+    marker = findForkMarker(parentThoughts);
+  }
+  return lineage;
+}
+
+// Sessions forked from this one, found through their markers' links
+async function findBranches(sessionName, thoughts) {
+  // Each linking session is loaded once, however many backlinks it holds
+  const linkedThoughts = new Map();
+  for (const name of new Set(thoughts.flatMap(t => (t.relationships_in || []).map(rel => rel.session).filter(Boolean)))) {
+    linkedThoughts.set(name, await loadSession(name));
+  }
+  
+  const branches = [];
+  for (const thought of thoughts) {
+    for (const rel of thought.relationships_in || []) {
+      if (!rel.session) continue;
+      const marker = linkedThoughts.get(rel.session).find(t => t.id === rel.thought_id);
+      if (marker?.fork?.parent === sessionName) {
+        branches.push({ sessionName: rel.session, thoughtId: thought.id, forkedAt: marker.fork.forked_at });
+      }
+    }
+  }
+  return branches;
+}
+
+// ============================================
+// Session browsing
+// ============================================
+//
+// Session names are colon-separated paths, so the namespace forms a tree:
+// `thesis` > `NVDA` > `ai_dominance`. Each node aggregates the sessions
+// below it from the search index (thought counts, last activity, tag
+// counts) without loading any session.
+
+const BROWSE_SORTS = ["name", "activity", "size"];
+// Tags listed per node, most frequent first
+const BROWSE_TAG_LIMIT = 10;
+
+// Match one name segment against a glob with * and ?
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+// Whether a session name matches a segment pattern such as `thesis:*:ai_*`.
+// Segments beyond the pattern's are not constrained.
+function matchesSegmentPattern(segments, patternSegments) {
+  return patternSegments.length <= segments.length &&
+    patternSegments.every((glob, i) => globToRegExp(glob).test(segments[i]));
+}
+
+function createBrowseNode(segment, nodePath) {
+  return { segment, path: nodePath, sessionName: null, sessions: 0, thoughts: 0, lastActivity: null, tagCounts: new Map(), children: new Map() };
+}
+
+// Sort children, roll tag counts into a list and cut the tree at maxDepth
+function finishBrowseNode(node, sortBy, maxDepth, depth = 0) {
+  const compare = {
+    name: (a, b) => a.segment.localeCompare(b.segment),
+    activity: (a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || '') || a.segment.localeCompare(b.segment),
+    size: (a, b) => b.thoughts - a.thoughts || a.segment.localeCompare(b.segment)
+  }[sortBy];
+  const children = [...node.children.values()].sort(compare);
+  
+  const result = {
+    segment: node.segment,
+    path: node.path,
+    sessionName: node.sessionName,
+    sessions: node.sessions,
+    thoughts: node.thoughts,
+    lastActivity: node.lastActivity,
+    tags: [...node.tagCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, BROWSE_TAG_LIMIT)
+      .map(([tag, count]) => ({ tag, count })),
+    childCount: children.length
+  };
+  if (maxDepth === undefined || depth < maxDepth) {
+    result.children = children.map(child => finishBrowseNode(child, sortBy, maxDepth, depth + 1));
+  }
+  return result;
+}
+
+// Tree of the indexed sessions under `prefix` (exact segments) that match
+// `pattern` (glob segments)
+function buildSessionTree({ prefix, pattern, sortBy = 'name', depth }) {
+  const prefixSegments = prefix ? prefix.split(':') : [];
+  const patternSegments = pattern ? pattern.split(':') : [];
+  const root = createBrowseNode(prefixSegments[prefixSegments.length - 1] || '', prefix || '');
+  
+  for (const [sessionName, entry] of Object.entries(searchIndex.sessions)) {
+    const segments = sessionName.split(':');
+    if (prefixSegments.some((segment, i) => segments[i] !== segment)) continue;
+    if (!matchesSegmentPattern(segments, patternSegments)) continue;
+    
+    const docs = Object.values(entry.docs).filter(doc => !doc.retracted);
+    const tagCounts = new Map();
+    for (const doc of docs) {
+      for (const tag of new Set(doc.tags)) tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+    
+    // Walk from the prefix down to the session, adding its stats on the way
+    let node = root;
+    const nodes = [root];
+    for (let i = prefixSegments.length; i < segments.length; i++) {
+      if (!node.children.has(segments[i])) {
+        node.children.set(segments[i], createBrowseNode(segments[i], segments.slice(0, i + 1).join(':')));
+      }
+      node = node.children.get(segments[i]);
+      nodes.push(node);
+    }
+    node.sessionName = sessionName;
+    
+    for (const n of nodes) {
+      n.sessions++;
+      n.thoughts += docs.length;
+      if (!n.lastActivity || entry.lastModified > n.lastActivity) n.lastActivity = entry.lastModified;
+      for (const [tag, count] of tagCounts) n.tagCounts.set(tag, (n.tagCounts.get(tag) || 0) + count);
+    }
+  }
+  
+  return finishBrowseNode(root, sortBy, depth);
+}
+
+// ============================================
+// Configuration
+// ============================================
+//
+// Optional JSON file at SESSION_CONFIG. Read on demand and cached until its
+// modification time changes, so edits apply without a restart (except the
+// retention schedule, and the modes and relationship types, which shape the
+// tool schemas and are read at startup).
+
+const RETENTION_RULE_SCHEMA = z.object({
+  pattern: z.string().default("*"),
+  tags: z.array(z.string()).optional(),
+  maxAgeDays: z.number().positive().optional(),
+  maxThoughts: z.number().int().positive().optional(),
+  action: z.enum(["delete", "archive"]).default("delete")
+}).refine(rule => rule.maxAgeDays !== undefined || rule.maxThoughts !== undefined, {
+  message: "A retention rule needs maxAgeDays or maxThoughts"
+});
+
+const VOCABULARY_NAME = z.string().regex(/^[a-z][a-z0-9_]*$/, "Names use lowercase letters, digits and underscores");
+
+const CONFIG_SCHEMA = z.object({
+  modes: z.array(z.object({
+    name: VOCABULARY_NAME,
+    description: z.string().optional()
+  })).default([]),
+  relationshipTypes: z.array(z.object({
+    name: VOCABULARY_NAME,
+    chain: z.boolean().optional(),
+    description: z.string().optional()
+  })).default([]),
+  retention: z.object({
+    rules: z.array(RETENTION_RULE_SCHEMA).default([]),
+    protect: z.array(z.string()).default([]),
+    intervalMinutes: z.number().positive().optional()
+  }).default({}),
+  trash: z.object({
+    retentionDays: z.number().positive().default(30)
+  }).default({})
+}).passthrough();
+
+let configCache = { mtimeMs: null, config: null };
+
+function describeSchemaIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+async function loadConfig() {
+  let stats;
+  try {
+    stats = await fs.stat(SESSION_CONFIG);
+  } catch (error) {
+    if (error.code === 'ENOENT') return CONFIG_SCHEMA.parse({});
+    throw error;
+  }
+  if (configCache.mtimeMs === stats.mtimeMs) return configCache.config;
+  
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(SESSION_CONFIG, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${SESSION_CONFIG}: ${error.message}`);
+  }
+  const result = CONFIG_SCHEMA.safeParse(raw);
+  if (!result.success) {
+    throw new Error(`Invalid config file ${SESSION_CONFIG}: ${describeSchemaIssues(result.error)}`);
+  }
+  configCache = { mtimeMs: stats.mtimeMs, config: result.data };
+  return result.data;
+}
+
+const startupConfig = await loadConfig().catch(error => {
+  console.error(`Warning: ${error.message}; using the built-in modes and relationship types only`);
+  return CONFIG_SCHEMA.parse({});
+});
+
+// Thinking modes and relationship types, built-in plus configured
+const THINKING_MODES = [...new Set([...BUILTIN_THINKING_MODES, ...startupConfig.modes.map(m => m.name)])];
+const RELATIONSHIP_TYPES = [...new Set([...BUILTIN_RELATIONSHIP_TYPES, ...startupConfig.relationshipTypes.map(r => r.name)])];
+
+// Relationship types that continue a reasoning chain, like builds_on. A
+// configured entry may also switch this on or off for a built-in type.
+const CHAIN_RELATIONSHIP_TYPES = new Set(RELATIONSHIP_TYPES.filter(type => {
+  const configured = startupConfig.relationshipTypes.find(r => r.name === type);
+  return configured?.chain ?? type === 'builds_on';
+}));
+
+// Tool parameter description followed by what each configured entry means
+function describeVocabulary(text, entries) {
+  const described = entries.filter(entry => entry.description);
+  if (described.length === 0) return text;
+  return `${text}. ${described.map(entry => `${entry.name}: ${entry.description}`).join('; ')}`;
+}
+
+// ============================================
+// Templates
+// ============================================
+//
+// A template is a JSON file in TEMPLATES_DIR named after it. It applies to
+// sessions whose name matches one of its patterns, or to a new session that
+// names it in think. A new session is seeded with one prompt thought per
+// section, every thought recorded in the session gets the required tags, and
+// validate_session checks the sections are covered: by a live thought that
+// carries the section's tag (its name unless set) or links to its prompt.
+
+const TEMPLATE_TAG = "template";
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const TEMPLATE_SCHEMA = z.object({
+  description: z.string().optional(),
+  patterns: z.array(z.string()).default([]),
+  requiredTags: z.array(z.string()).default([]),
+  sections: z.array(z.object({
+    name: z.string().min(1),
+    prompt: z.string().optional(),
+    tag: z.string().optional(),
+    mode: z.enum(THINKING_MODES).optional(),
+    required: z.boolean().default(true)
+  })).default([])
+});
+
+// The directory is listed again only when its mtime changes, and a file is
+// parsed again only when its own mtime does
+let templateCache = { mtimeMs: null, files: [], parsed: new Map() };
+
+// Every template, sorted by name; files that don't parse are listed in errors
+async function loadTemplates() {
+  let stats;
+  try {
+    stats = await fs.stat(TEMPLATES_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { templates: [], errors: [] };
+    throw error;
+  }
+  if (templateCache.mtimeMs !== stats.mtimeMs) {
+    const files = (await fs.readdir(TEMPLATES_DIR)).filter(file => file.endsWith('.json')).sort();
+    templateCache = { mtimeMs: stats.mtimeMs, files, parsed: templateCache.parsed };
+  }
+  
+  const templates = [];
+  const errors = [];
+  const parsed = new Map();
+  for (const file of templateCache.files) {
+    let mtimeMs = null;
+    try {
+      mtimeMs = (await fs.stat(path.join(TEMPLATES_DIR, file))).mtimeMs;
+    } catch (error) {
+      // Removed since the directory was listed
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    const cached = templateCache.parsed.get(file);
+    const entry = cached?.mtimeMs === mtimeMs ? cached : { mtimeMs, ...(await readTemplateFile(file)) };
+    parsed.set(file, entry);
+    if (entry.template) templates.push(entry.template);
+    else errors.push({ file, message: entry.message });
+  }
+  templateCache.parsed = parsed;
+  return { templates, errors };
+}
+
+// { template } or { message } saying why the file isn't a valid template
+async function readTemplateFile(file) {
+  const name = file.slice(0, -'.json'.length);
+  try {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      throw new Error("Template names use letters, digits, underscores and hyphens");
+    }
+    const result = TEMPLATE_SCHEMA.safeParse(JSON.parse(await fs.readFile(path.join(TEMPLATES_DIR, file), 'utf8')));
+    if (!result.success) throw new Error(describeSchemaIssues(result.error));
+    const sections = result.data.sections.map(section => ({ ...section, tag: section.tag || section.name }));
+    return { template: { name, ...result.data, sections } };
+  } catch (error) {
+    return { message: error.message };
+  }
+}
+
+// The template a session was seeded from, else the first whose pattern
+// matches its name
+function findSessionTemplate(sessionName, thoughts, templates) {
+  const seeded = thoughts.find(t => t.template)?.template.name;
+  if (seeded) return templates.find(t => t.name === seeded) || null;
+  const segments = sessionName.split(':');
+  return templates.find(t => t.patterns.some(pattern => matchesSegmentPattern(segments, pattern.split(':')))) || null;
+}
+
+// Prompt thoughts that seed a new session, one per section. They are stamped
+// a millisecond apart ending before now, so they sort in section order ahead
+// of the session's first thought.
+function createTemplatePrompts(template) {
+  const start = Date.now() - template.sections.length;
+  return template.sections.map((section, i) =>
+    createMarkerThought(section.prompt || `Section: ${section.name}`, TEMPLATE_TAG, {
+      mode: section.mode || "linear",
+      timestamp: new Date(start + i).toISOString(),
+      template: { name: template.name, section: section.name }
+    }));
+}
+
+// Which sections of the template the session covers, and which live thoughts
+// lack a required tag
+function checkTemplate(template, thoughts) {
+  const live = thoughts.filter(t => !t.retracted && !isMarkerThought(t));
+  const sections = template.sections.map(section => {
+    const tag = section.tag.toLowerCase();
+    const promptIds = new Set(thoughts.filter(t => t.template?.section === section.name).map(t => t.id));
+    const covering = live.filter(t =>
+      (t.tags || []).some(thoughtTag => thoughtTag.toLowerCase() === tag) ||
+      t.relationships_out.some(rel => !rel.session && promptIds.has(rel.thought_id)));
+    return {
+      name: section.name,
+      tag: section.tag,
+      required: section.required,
+      covered: covering.length > 0,
+      thoughtIds: covering.map(t => t.id)
+    };
+  });
+  
+  const untaggedThoughts = [];
+  for (const thought of live) {
+    const tags = new Set((thought.tags || []).map(tag => tag.toLowerCase()));
+    const missingTags = template.requiredTags.filter(tag => !tags.has(tag.toLowerCase()));
+    if (missingTags.length > 0) untaggedThoughts.push({ id: thought.id, missingTags });
+  }
+  
+  const missingSections = sections.filter(s => s.required && !s.covered).map(s => s.name);
+  return {
+    valid: missingSections.length === 0 && untaggedThoughts.length === 0,
+    missingSections,
+    sections,
+    untaggedThoughts
+  };
+}
+
+// ============================================
+// Trash and archive
+// ============================================
+//
+// Removed sessions are kept as bundles ({ sessionName, removedAt, thoughts })
+// named `<sanitized name>.<epoch ms>.json[.gz]`; the file name is the ID
+// restore_session takes. Deleting moves a session to TRASH_DIR, which keeps
+// it for trash.retentionDays. Archiving moves it, gzipped, to ARCHIVE_DIR,
+// where it stays searchable. Either way, links other sessions held to it are
+// removed; restoring brings back its own links to sessions that still exist.
+
+const REMOVED_LOCATIONS = {
+  trash: { dir: TRASH_DIR, extension: '.json', verb: 'deleted' },
+  archive: { dir: ARCHIVE_DIR, extension: '.json.gz', verb: 'archived' }
+};
+const REMOVED_ID_PATTERN = /^(.+)\.(\d+)\.json(\.gz)?$/;
+// How often a running server empties expired trash
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+async function listRemovedSessionFiles(location) {
+  const { dir, extension } = REMOVED_LOCATIONS[location];
+  try {
+    return (await fs.readdir(dir)).filter(file => file.endsWith(extension) && REMOVED_ID_PATTERN.test(file));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Session name and removal time encoded in a bundle's ID
+function parseRemovedId(location, id) {
+  const match = id.match(REMOVED_ID_PATTERN);
+  if (!match || path.basename(id) !== id || !id.endsWith(REMOVED_LOCATIONS[location].extension)) {
+    throw new Error(`Invalid ${location} ID '${id}'`);
+  }
+  return { id, sessionName: match[1].replace(/___/g, ':'), removedAt: new Date(Number(match[2])).toISOString() };
+}
+
+// Removed sessions in a location, most recently removed first
+async function listRemovedSessions(location) {
+  return (await listRemovedSessionFiles(location))
+    .map(file => parseRemovedId(location, file))
+    .sort((a, b) => b.removedAt.localeCompare(a.removedAt));
+}
+
+async function readRemovedSession(location, id) {
+  parseRemovedId(location, id);
+  const data = await fs.readFile(path.join(REMOVED_LOCATIONS[location].dir, id));
+  return JSON.parse(location === 'archive' ? (await gunzipAsync(data)).toString('utf8') : data.toString('utf8'));
+}
+
+// Remove a session from storage along with the links other sessions hold to
+// it, keeping a bundle in `location` ('trash' or 'archive'), or nothing if
+// location is null. Returns { unlinkedSessions, removedId }. If given,
+// skipIf() runs under the session's lock first; a reason it returns leaves
+// the session in place and is returned as { skipped }.
+async function removeSession(sessionName, location = 'trash', { skipIf } = {}) {
+  const result = await withLinkedSessionLocks(sessionName, [], async (thoughts) => {
+    const skipped = skipIf && await skipIf();
+    return skipped ? { skipped } : removeLockedSession(sessionName, thoughts, location);
+  });
+  if (!result.skipped) await unpinSession(sessionName);
+  return result;
+}
+
+// The work of removeSession, given the session's thoughts. Call with the
+// locks of the session and every session linked to it held, then unpin it.
+async function removeLockedSession(sessionName, thoughts, location) {
+  if (thoughts.length === 0 && !(await storage.stat(sessionName))) {
+    throw new Error(`Session ${sessionName} does not exist`);
+  }
+  let removedId = null;
+  if (location) {
+    const { dir, extension, verb } = REMOVED_LOCATIONS[location];
+    const bundle = { sessionName, removedAt: new Date().toISOString(), metadata: await storage.loadMetadata(sessionName), thoughts };
+    removedId = `${sanitizeSessionName(sessionName)}.${Date.parse(bundle.removedAt)}${extension}`;
+    const data = JSON.stringify(bundle);
+    await fs.mkdir(dir, { recursive: true });
+    await writeFileAtomic(path.join(dir, removedId), location === 'archive' ? await gzipAsync(data) : data);
+    if (location === 'archive') indexArchive(removedId, bundle);
+    console.error(`Session ${sessionName} ${verb} (${removedId})`);
+  }
+  
+  await storage.delete(sessionName);
+  removeSessionFromIndex(sessionName);
+  notifySessionUpdated(sessionName);
+  const reason = `Linked session ${sessionName} was ${location ? REMOVED_LOCATIONS[location].verb : 'deleted'}`;
+  const unlinkedSessions = await detachSessionLinks(sessionName, thoughts, reason);
+  return { unlinkedSessions, removedId };
+}
+
+async function unpinSession(sessionName) {
+  if ((await loadPinnedSessions()).has(sessionName)) {
+    await updatePinnedSessions(pins => { pins.delete(sessionName); });
+  }
+}
+
+// Bring a session back from the trash or archive, optionally under a new
+// name. Returns { sessionName, thoughtCount, droppedLinks } or throws if the
+// name is taken.
+async function restoreRemovedSession(location, id, newSessionName = null) {
+  const bundle = await readRemovedSession(location, id);
+  const sessionName = newSessionName || bundle.sessionName;
+  validateSessionName(sessionName);
+  const thoughts = bundle.thoughts;
+  
+  // Other sessions' links to it were removed along with it
+  for (const thought of thoughts) {
+    thought.relationships_in = thought.relationships_in.filter(rel => !rel.session);
+  }
+  const linkedNames = linkedSessionNames(thoughts).filter(name => name !== sessionName);
+  
+  return withSessionLocks([sessionName, ...linkedNames], async () => {
+    if ((await loadSession(sessionName)).length > 0 || await storage.stat(sessionName)) {
+      throw new Error(`Session ${sessionName} already exists; restore under another name with newSessionName`);
+    }
+    
+    // Keep links to other sessions only where the target still exists
+    const existing = new Map();
+    for (const name of linkedNames) {
+      existing.set(name, new Set((await loadSession(name)).map(t => t.id)));
+    }
+    let droppedLinks = 0;
+    for (const thought of thoughts) {
+      const kept = thought.relationships_out.filter(rel => !rel.session || existing.get(rel.session)?.has(rel.thought_id));
+      droppedLinks += thought.relationships_out.length - kept.length;
+      thought.relationships_out = kept;
+      syncRelatesTo(thought);
+    }
+    
+    await saveSession(sessionName, thoughts);
+    if (bundle.metadata) await saveSessionMetadata(sessionName, bundle.metadata);
+    await addExternalBacklinks(sessionName, thoughts);
+    await fs.unlink(path.join(REMOVED_LOCATIONS[location].dir, id));
+    if (location === 'archive') removeArchiveFromIndex(id);
+    notifyResourceListChanged();
+    return { sessionName, thoughtCount: thoughts.length, droppedLinks };
+  });
+}
+
+// Permanently delete trash entries, optionally only those of one session or
+// removed more than olderThanDays ago
+async function purgeTrash({ sessionName, olderThanDays, dryRun = false } = {}) {
+  const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * DAY_MS : Infinity;
+  const purged = (await listRemovedSessions('trash')).filter(entry =>
+    (!sessionName || entry.sessionName === sessionName) && Date.parse(entry.removedAt) < cutoff);
+  if (!dryRun) {
+    for (const entry of purged) {
+      await fs.rm(path.join(TRASH_DIR, entry.id), { force: true });
+    }
+  }
+  return purged;
+}
+
+// Drop trash entries older than trash.retentionDays
+async function purgeExpiredTrash() {
+  const { trash } = await loadConfig();
+  const purged = await purgeTrash({ olderThanDays: trash.retentionDays });
+  if (purged.length > 0) {
+    console.error(`Emptied ${purged.length} session(s) from the trash after ${trash.retentionDays} days`);
+  }
+  return purged;
+}
+
+// Empty expired trash at startup and then every TRASH_PURGE_INTERVAL_MS,
+// independently of the retention rules
+async function startTrashSchedule() {
+  const purge = () => purgeExpiredTrash().catch(error => console.error('Failed to empty expired trash:', error));
+  await purge();
+  setInterval(purge, TRASH_PURGE_INTERVAL_MS).unref();
+}
+
+// ============================================
+// Retention
+// ============================================
+//
+// Retention rules (config `retention.rules`) are tried in order and the
+// first whose `pattern` (segment globs, as in browse_sessions) and `tags`
+// (any of them) match a session applies. A session past the rule's
+// maxAgeDays (since last modified) or maxThoughts is deleted or archived.
+// Pinned sessions (pin_session) and sessions matching `retention.protect`
+// are never touched. Deleted sessions go to the trash.
+
+// Rule used by cleanup_sessions when no rules are configured
+const DEFAULT_RETENTION_DAYS = 90;
+// Lock guarding the pinned-sessions file (not a valid session name)
+const PINS_LOCK = '.pinned';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+async function loadPinnedSessions() {
+  try {
+    return new Set(JSON.parse(await fs.readFile(PINS_PATH, 'utf8')).sessions || []);
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Set();
+    throw new Error(`Failed to read pinned sessions (${PINS_PATH}): ${error.message}`);
+  }
+}
+
+// Apply fn(pinnedSet) to the pinned sessions and save the result
+async function updatePinnedSessions(fn) {
+  return withSessionLock(PINS_LOCK, async () => {
+    const pinned = await loadPinnedSessions();
+    const result = fn(pinned);
+    await fs.mkdir(path.dirname(PINS_PATH), { recursive: true });
+    await writeFileAtomic(PINS_PATH, JSON.stringify({ sessions: [...pinned].sort() }, null, 2));
+    return result;
+  });
+}
+
+// What retention would do to each stored session. Passing maxAgeDays
+// replaces the configured rules with a single age rule that deletes.
+async function planRetention({ maxAgeDays } = {}) {
+  const { retention } = await loadConfig();
+  const rules = maxAgeDays !== undefined
+    ? [{ pattern: "*", maxAgeDays, action: "delete" }]
+    : (retention.rules.length > 0 ? retention.rules : [{ pattern: "*", maxAgeDays: DEFAULT_RETENTION_DAYS, action: "delete" }]);
+  const pinned = await loadPinnedSessions();
+  await syncSearchIndex({ throttle: true });
+  
+  const now = Date.now();
+  const actions = [];
+  const skipped = [];
+  
+  for (const { sessionName, lastModified } of await storage.list()) {
+    const segments = sessionName.split(':');
+    if (pinned.has(sessionName)) {
+      skipped.push({ sessionName, reason: "pinned" });
+      continue;
+    }
+    if (retention.protect.some(pattern => matchesSegmentPattern(segments, pattern.split(':')))) {
+      skipped.push({ sessionName, reason: "protected" });
+      continue;
+    }
+    
+    const entry = searchIndex.sessions[sessionName];
+    const sessionTags = new Set(Object.values(entry?.docs || {}).flatMap(doc => doc.tags));
+    const ruleIndex = rules.findIndex(rule =>
+      matchesSegmentPattern(segments, rule.pattern.split(':')) &&
+      (!rule.tags || rule.tags.some(tag => sessionTags.has(tag.toLowerCase()))));
+    if (ruleIndex === -1) continue;
+    const rule = rules[ruleIndex];
+    
+    const reasons = [];
+    const ageDays = Math.floor((now - lastModified) / DAY_MS);
+    if (rule.maxAgeDays !== undefined && now - lastModified > rule.maxAgeDays * DAY_MS) {
+      reasons.push(`inactive for ${ageDays} days (limit ${rule.maxAgeDays})`);
+    }
+    const thoughtCount = entry?.thoughtCount ?? (await loadSession(sessionName)).length;
+    if (rule.maxThoughts !== undefined && thoughtCount > rule.maxThoughts) {
+      reasons.push(`${thoughtCount} thoughts (limit ${rule.maxThoughts})`);
+    }
+    if (reasons.length > 0) {
+      actions.push({
+        sessionName,
+        action: rule.action,
+        rule: maxAgeDays !== undefined ? null : rule.pattern + (rule.tags ? ` [${rule.tags.join(', ')}]` : ''),
+        reason: reasons.join('; '),
+        lastModified: lastModified.toISOString(),
+        thoughtCount
+      });
+    }
+  }
+  
+  return { actions, skipped };
+}
+
+// Carry out planned retention actions; failures are reported, not thrown.
+// A session pinned or written to since it was planned is skipped instead.
+async function applyRetention(actions) {
+  const failed = [];
+  const skipped = [];
+  for (const item of actions) {
+    try {
+      const { removedId, skipped: reason } = await removeSession(item.sessionName, item.action === 'archive' ? 'archive' : 'trash', {
+        skipIf: async () => {
+          if ((await loadPinnedSessions()).has(item.sessionName)) return "pinned";
+          const stats = await storage.stat(item.sessionName);
+          if (stats && stats.lastModified.toISOString() !== item.lastModified) return "modified since planned";
+          return null;
+        }
+      });
+      if (reason) {
+        skipped.push({ sessionName: item.sessionName, reason });
+        continue;
+      }
+      item.removedId = removedId;
+    } catch (error) {
+      console.error(`Retention could not ${item.action} session ${item.sessionName}:`, error);
+      failed.push({ sessionName: item.sessionName, action: item.action, message: error.message });
+    }
+  }
+  if (failed.length + skipped.length < actions.length) {
+    notifyResourceListChanged();
+  }
+  return { failed, skipped };
+}
+
+let retentionRunning = false;
+
+// Run the configured rules every retention.intervalMinutes while the server is up
+async function startRetentionSchedule() {
+  let retention;
+  try {
+    ({ retention } = await loadConfig());
+  } catch (error) {
+    console.error(`Warning: ${error.message}; scheduled retention is disabled`);
+    return;
+  }
+  if (!retention.intervalMinutes || retention.rules.length === 0) return;
+  
+  const timer = setInterval(async () => {
+    if (retentionRunning) return;
+    retentionRunning = true;
+    try {
+      const { actions } = await planRetention();
+      const { failed, skipped } = await applyRetention(actions);
+      if (actions.length > 0) {
+        console.error(`Scheduled retention: ${actions.length - failed.length - skipped.length} session(s) deleted or archived, ${skipped.length} skipped, ${failed.length} failed`);
+      }
+    } catch (error) {
+      console.error('Scheduled retention failed:', error);
+    } finally {
+      retentionRunning = false;
+    }
+  }, retention.intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.error(`Retention rules run every ${retention.intervalMinutes} minute(s)`);
+}
+
+// ============================================
+// Export
+// ============================================
+//
+// Render a session for readers outside MCP: Markdown (chronological or
+// threaded by relates_to), standalone HTML, or JSON-LD.
+
+const EXPORT_FORMATS = ["markdown", "html", "jsonld"];
+const EXPORT_LAYOUTS = ["chronological", "threaded"];
+const JSONLD_VOCAB = "https://github.com/differentstuff/session-think-mcp/vocab#";
+
+// Arrange thoughts into trees by relates_to; a thought whose target isn't in
+// the export starts a new root. Returns [{ thought, depth }] in display order.
+function threadThoughts(thoughts) {
+  const ids = new Set(thoughts.map(t => t.id));
+  const children = new Map();
+  const roots = [];
+  for (const thought of thoughts) {
+    if (thought.relates_to && ids.has(thought.relates_to) && thought.relates_to !== thought.id) {
+      if (!children.has(thought.relates_to)) children.set(thought.relates_to, []);
+      children.get(thought.relates_to).push(thought);
+    } else {
+      roots.push(thought);
+    }
+  }
+  
+  const ordered = [];
+  const visited = new Set();
+  const visit = (thought, depth) => {
+    if (visited.has(thought.id)) return;
+    visited.add(thought.id);
+    ordered.push({ thought, depth });
+    for (const child of children.get(thought.id) || []) visit(child, depth + 1);
+  };
+  roots.forEach(root => visit(root, 0));
+  // Thoughts caught in a relates_to cycle have no root; append them flat
+  thoughts.forEach(thought => visit(thought, 0));
+  return ordered;
+}
+
+// Collect the summary details shared by every format
+function describeSession(sessionName, thoughts, layout) {
+  return {
+    sessionName,
+    thoughtCount: thoughts.length,
+    firstThought: thoughts[0]?.timestamp || null,
+    lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
+    modes: [...new Set(thoughts.map(t => t.mode))],
+    tags: [...new Set(thoughts.flatMap(t => t.tags || []))],
+    numbers: new Map(thoughts.map((t, i) => [t.id, i + 1])),
+    entries: layout === 'threaded' ? threadThoughts(thoughts) : thoughts.map(thought => ({ thought, depth: 0 }))
+  };
+}
+
+function formatRelationshipLinks(relationships, numbers, linkFn) {
+  return (relationships || []).map(rel => {
+    if (rel.session) {
+      return `${rel.relationship_type} ${formatThoughtReference(rel.session, rel.thought_id)}`;
+    }
+    const number = numbers.get(rel.thought_id);
+    return `${rel.relationship_type} ${number ? linkFn(rel.thought_id, `#${number}`) : `${rel.thought_id} (not exported)`}`;
+  }).join(', ');
+}
+
+function renderSessionMarkdown(sessionName, thoughts, layout) {
+  const info = describeSession(sessionName, thoughts, layout);
+  const link = (id, label) => `[${label}](#${id})`;
+  const lines = [
+    `# ${sessionName}`,
+    '',
+    `- **Thoughts:** ${info.thoughtCount}`,
+    `- **Period:** ${info.firstThought || '-'} to ${info.lastThought || '-'}`,
+    `- **Modes:** ${info.modes.join(', ') || '-'}`,
+    `- **Tags:** ${info.tags.map(tag => `\`${tag}\``).join(', ') || '-'}`,
+    `- **Layout:** ${layout}`,
+    `- **Exported:** ${new Date().toISOString()}`,
+    ''
+  ];
+  
+  for (const { thought, depth } of info.entries) {
+    const heading = '#'.repeat(Math.min(2 + depth, 6));
+    const retracted = thought.retracted ? ' (retracted)' : '';
+    lines.push(`<a id="${thought.id}"></a>`);
+    lines.push(`${heading} ${info.numbers.get(thought.id)}. ${thought.mode}${retracted}`);
+    lines.push('');
+    const tags = thought.tags && thought.tags.length > 0 ? ` · ${thought.tags.map(tag => `\`${tag}\``).join(' ')}` : '';
+    lines.push(`*${thought.timestamp}* · \`${thought.id}\`${tags}`);
+    lines.push('');
+    lines.push(thought.content);
+    lines.push('');
+    const links = [];
+    if (thought.relationships_out && thought.relationships_out.length > 0) {
+      links.push(`**Links to:** ${formatRelationshipLinks(thought.relationships_out, info.numbers, link)}`);
+    }
+    if (thought.relationships_in && thought.relationships_in.length > 0) {
+      links.push(`**Linked from:** ${formatRelationshipLinks(thought.relationships_in, info.numbers, link)}`);
+    }
+    if (links.length > 0) {
+      lines.push(links.join('  \n'), '');
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderSessionHtml(sessionName, thoughts, layout) {
+  const info = describeSession(sessionName, thoughts, layout);
+  const link = (id, label) => `<a href="#${escapeHtml(id)}">${escapeHtml(label)}</a>`;
+  
+  const cards = info.entries.map(({ thought, depth }) => {
+    const tags = (thought.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ');
+    const links = [];
+    if (thought.relationships_out && thought.relationships_out.length > 0) {
+      links.push(`<div class="links">Links to: ${formatRelationshipLinks(thought.relationships_out, info.numbers, link)}</div>`);
+    }
+    if (thought.relationships_in && thought.relationships_in.length > 0) {
+      links.push(`<div class="links">Linked from: ${formatRelationshipLinks(thought.relationships_in, info.numbers, link)}</div>`);
+    }
+    return `<article id="${escapeHtml(thought.id)}" class="thought mode-${escapeHtml(thought.mode)}${thought.retracted ? ' retracted' : ''}" style="margin-left: ${depth * 2}rem">
+  <header><span class="number">#${info.numbers.get(thought.id)}</span> <span class="mode">${escapeHtml(thought.mode)}</span>${thought.retracted ? ' <span class="mode">retracted</span>' : ''} <time>${escapeHtml(thought.timestamp)}</time> ${tags}</header>
+  <div class="content">${escapeHtml(thought.content)}</div>
+  ${links.join('\n  ')}
+</article>`;
+  }).join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sessionName)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+  dt { font-weight: 600; }
+  .thought { border-left: 4px solid #888; padding: 0.5rem 1rem; margin-bottom: 1rem; background: #fafafa; }
+  .thought.retracted { opacity: 0.6; }
+${Object.entries(MODE_COLORS).map(([mode, color]) => `  .mode-${mode} { border-color: ${color}; }`).join('\n')}
+  header { font-size: 0.85rem; color: #555; }
+  .number { font-weight: 600; }
+  .mode, .tag { display: inline-block; padding: 0 0.4rem; border-radius: 0.25rem; background: #e6e6e6; }
+  .content { white-space: pre-wrap; margin: 0.5rem 0; }
+  .links { font-size: 0.85rem; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sessionName)}</h1>
+<dl>
+  <dt>Thoughts</dt><dd>${info.thoughtCount}</dd>
+  <dt>Period</dt><dd>${escapeHtml(info.firstThought || '-')} to ${escapeHtml(info.lastThought || '-')}</dd>
+  <dt>Modes</dt><dd>${escapeHtml(info.modes.join(', ') || '-')}</dd>
+  <dt>Tags</dt><dd>${escapeHtml(info.tags.join(', ') || '-')}</dd>
+  <dt>Layout</dt><dd>${escapeHtml(layout)}</dd>
+  <dt>Exported</dt><dd>${new Date().toISOString()}</dd>
+</dl>
+${cards}
+</body>
+</html>
+`;
+}
+
+// Thoughts are embedded as stored; the context maps their fields onto
+// schema.org terms (or the project vocabulary), so the full data round-trips
+function renderSessionJsonLd(sessionName, thoughts) {
+  const document = {
+    "@context": {
+      "@vocab": JSONLD_VOCAB,
+      "@base": `thought://${encodeURIComponent(sessionName)}/`,
+      "schema": "https://schema.org/",
+      "sessionName": "schema:name",
+      "exported": { "@id": "schema:dateModified", "@type": "schema:DateTime" },
+      "thoughts": { "@id": "schema:hasPart", "@container": "@list" },
+      "id": "schema:identifier",
+      "content": "schema:text",
+      "timestamp": { "@id": "schema:dateCreated", "@type": "schema:DateTime" },
+      "tags": "schema:keywords",
+      "relates_to": { "@id": "relatesTo", "@type": "@id" },
+      "thought_id": { "@id": "thought", "@type": "@id" },
+      "revisions": { "@id": "revisions", "@type": "@json" },
+      "evidence": { "@id": "evidence", "@type": "@json" }
+    },
+    "@id": sessionResourceUri(sessionName),
+    "@type": "Session",
+    sessionName,
+    exported: new Date().toISOString(),
+    thoughtCount: thoughts.length,
+    thoughts: thoughts.map(thought => ({
+      "@id": thoughtResourceUri(sessionName, thought.id),
+      "@type": "Thought",
+      ...thought
+    }))
+  };
+  return JSON.stringify(document, null, 2);
+}
+
+// Render a session in the requested format
+function renderSessionExport(sessionName, thoughts, { format = 'markdown', layout = 'chronological' } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export format '${format}'. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    throw new Error(`Invalid export layout '${layout}'. Expected one of: ${EXPORT_LAYOUTS.join(', ')}`);
+  }
+  if (format === 'html') return renderSessionHtml(sessionName, thoughts, layout);
+  if (format === 'jsonld') return renderSessionJsonLd(sessionName, thoughts);
+  return renderSessionMarkdown(sessionName, thoughts, layout);
+}
+
+// ============================================
+// Import
+// ============================================
+//
+// Bring sessions in from a JSON bundle (an export_session JSON-LD document, or
+// any object with sessionName and thoughts), a Markdown file with one heading
+// per thought, or legacy ~/.minimal-think-sessions files (a bare JSON array
+// per session). Imported thoughts get new IDs and their links are remapped.
+
+const IMPORT_FORMATS = ["auto", "bundle", "markdown", "legacy"];
+const LEGACY_SESSION_DIR = path.join(os.homedir(), '.minimal-think-sessions');
+
+// Fields of an imported thought held to the rules think and edit_thought
+// apply; other fields are kept as they are
+const IMPORTED_THOUGHT_SCHEMA = z.object({
+  content: z.string().min(1),
+  mode: z.enum(THINKING_MODES).optional(),
+  tags: z.array(z.string()).optional(),
+  status: z.enum(["question", "resolved"]).nullable().optional(),
+  confidence: z.number().min(0).max(1).nullable().optional(),
+  evidence: z.array(EVIDENCE_INPUT.extend({ note: z.string().nullable().optional() }).passthrough()).optional()
+}).passthrough();
+
+function expandHomePath(filePath) {
+  return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Parse Markdown with one heading (level 2 or deeper) per thought. Understands
+// the layout written by export_session (mode headings, metadata line and link
+// lines); other headings are kept as the first line of the thought.
+function parseMarkdownSession(text) {
+  const lines = text.split(/\r?\n/);
+  const thoughtHeading = new RegExp(`^(?:(\\d+)\\.\\s+)?(${THINKING_MODES.join('|')})( \\(retracted\\))?$`);
+  let title = null;
+  const blocks = [];
+  let current = null;
+  let pendingId = null;
+  
+  for (const line of lines) {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*$/);
+    const anchor = line.match(/^<a id="([^"]+)"><\/a>$/);
+    if (anchor) {
+      pendingId = anchor[1];
+    } else if (heading && heading[1].length === 1 && !title && blocks.length === 0) {
+      title = heading[2];
+    } else if (heading && heading[1].length > 1) {
+      current = { id: pendingId, heading: heading[2], lines: [] };
+      blocks.push(current);
+      pendingId = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  
+  const thoughts = blocks.map((block, i) => {
+    const thought = { id: block.id || `markdown_${i + 1}`, mode: "linear", tags: [], relationships_out: [] };
+    const modeMatch = block.heading.match(thoughtHeading);
+    const body = [];
+    if (modeMatch) {
+      thought.number = modeMatch[1] ? parseInt(modeMatch[1]) : null;
+      thought.mode = modeMatch[2];
+      thought.retracted = Boolean(modeMatch[3]);
+    } else {
+      body.push(block.heading);
+    }
+    
+    let metadataSeen = false;
+    for (const line of block.lines) {
+      const metadata = !metadataSeen && body.length === (modeMatch ? 0 : 1) && line.match(/^\*([^*]+)\*(?: · `([^`]+)`)?(.*)$/);
+      const links = line.match(/^\*\*(Links to|Linked from):\*\* (.*?)\s*$/);
+      if (metadata) {
+        metadataSeen = true;
+        thought.timestamp = metadata[1];
+        if (metadata[2]) thought.id = metadata[2];
+        thought.tags = [...metadata[3].matchAll(/`([^`]+)`/g)].map(m => m[1]);
+      } else if (links) {
+        // Incoming links are rebuilt from the outgoing ones
+        if (links[1] === 'Links to') {
+          for (const link of links[2].matchAll(/(\w+) \[#\d+\]\(#([^)]+)\)/g)) {
+            thought.relationships_out.push({ thought_id: link[2], relationship_type: link[1] });
+          }
+        }
+      } else if (!(line.trim() === '' && body.length === 0)) {
+        body.push(line);
+      }
+    }
+    thought.content = body.join('\n').trim();
+    return thought;
+  }).filter(thought => thought.content);
+  
+  // Threaded exports list thoughts out of order; restore the numbered order
+  if (thoughts.every(thought => thought.number)) {
+    thoughts.sort((a, b) => a.number - b.number);
+  }
+  thoughts.forEach(thought => delete thought.number);
+  
+  return { sessionName: title, thoughts };
+}
+
+// Work out the format of an import document and parse it
+function parseImportDocument(text, format) {
+  let json;
+  if (format !== 'markdown') {
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      if (format !== 'auto') {
+        throw new Error(`Invalid ${format} import: ${error.message}`);
+      }
+    }
+  }
+  
+  if (json === undefined) {
+    return parseMarkdownSession(text);
+  }
+  if (Array.isArray(json) && format !== 'bundle') {
+    return { sessionName: null, thoughts: json };
+  }
+  if (json && Array.isArray(json.thoughts) && format !== 'legacy') {
+    return { sessionName: json.sessionName || null, thoughts: json.thoughts };
+  }
+  throw new Error(format === 'legacy'
+    ? 'Legacy sessions must be a JSON array of thoughts'
+    : 'JSON imports must be an array of thoughts or an object with a thoughts array');
+}
+
+// Give imported thoughts new IDs, remap their links and rebuild backlinks.
+// Thoughts that fail IMPORTED_THOUGHT_SCHEMA are left out and listed in
+// skipped; links to thoughts outside the import are dropped.
+function remapImportedThoughts(importedThoughts) {
+  const rawThoughts = [];
+  const skipped = [];
+  importedThoughts.forEach((raw, i) => {
+    const result = IMPORTED_THOUGHT_SCHEMA.safeParse(raw);
+    if (result.success) rawThoughts.push(raw);
+    else skipped.push({ thought: raw?.id || `#${i + 1}`, error: describeSchemaIssues(result.error) });
+  });
+  
+  const baseTime = Date.now();
+  const newIds = rawThoughts.map((raw, i) => `thought_${baseTime + i}_${Math.random().toString(36).substring(2, 7)}`);
+  // Links to a duplicated source ID resolve to its first occurrence
+  const idMap = new Map();
+  rawThoughts.forEach((raw, i) => {
+    if (raw.id && !idMap.has(raw.id)) idMap.set(raw.id, newIds[i]);
+  });
+  
+  const thoughts = rawThoughts.map((raw, i) => {
+    const { "@id": _ldId, "@type": _ldType, ...data } = raw;
+    const timestamp = new Date(data.timestamp);
+    const outgoing = data.relationships_out && data.relationships_out.length > 0
+      ? data.relationships_out
+      : (data.relates_to ? [{ thought_id: data.relates_to, relationship_type: data.relationship_type || 'builds_on' }] : []);
+    const relationshipsOut = outgoing
+      .filter(rel => !rel.session && idMap.has(rel.thought_id))
+      .map(rel => ({ thought_id: idMap.get(rel.thought_id), relationship_type: rel.relationship_type }));
+    
+    return {
+      ...data,
+      id: newIds[i],
+      mode: data.mode || "linear",
+      tags: data.tags || [],
+      timestamp: isNaN(timestamp.getTime()) ? new Date().toISOString() : timestamp.toISOString(),
+      relates_to: relationshipsOut[0]?.thought_id || null,
+      relationship_type: relationshipsOut[0]?.relationship_type || null,
+      relationships_in: [],
+      relationships_out: relationshipsOut,
+      revisions: Array.isArray(data.revisions) ? data.revisions : [],
+      retracted: Boolean(data.retracted),
+      ...(data.evidence && {
+        evidence: data.evidence
+          .filter(entry => entry.type !== 'thought' || idMap.has(entry.value))
+          .map(entry => entry.type === 'thought' ? { ...entry, value: idMap.get(entry.value) } : entry)
+      }),
+      ...(data.checkpoint && {
+        checkpoint: {
+          ...data.checkpoint,
+          highlights: (data.checkpoint.highlights || []).filter(id => idMap.has(id)).map(id => idMap.get(id))
+        }
+      })
+    };
+  });
+  
+  const byId = new Map(thoughts.map(t => [t.id, t]));
+  for (const thought of thoughts) {
+    for (const rel of thought.relationships_out) {
+      byId.get(rel.thought_id).relationships_in.push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+    }
+  }
+  
+  return { thoughts, idMap, skipped };
+}
+
+// Save parsed thoughts as a new session; refuses to overwrite an existing one.
+// Returns the import with the thoughts left out as `skipped`.
+async function importParsedSession(sessionName, rawThoughts) {
+  validateSessionName(sessionName);
+  if (rawThoughts.length === 0) {
+    throw new Error('No thoughts found to import');
+  }
+  const { thoughts, idMap, skipped } = remapImportedThoughts(rawThoughts);
+  if (thoughts.length === 0) {
+    throw new Error(`No valid thoughts to import (${skipped.map(s => `${s.thought}: ${s.error}`).join('; ')})`);
+  }
+  
+  return withSessionLock(sessionName, async () => {
+    const existing = await loadSession(sessionName);
+    if (existing.length > 0) {
+      throw new Error(`Session ${sessionName} already exists; choose another sessionName or rename the existing session first`);
+    }
+    await saveSession(sessionName, thoughts);
+    notifyResourceListChanged();
+    return {
+      sessionName,
+      thoughtCount: thoughts.length,
+      idMap: Object.fromEntries(idMap),
+      skipped: skipped.map(entry => ({ sessionName, ...entry }))
+    };
+  });
+}
+
+// Import from inline content or a file/directory path. Directory imports
+// (legacy session directories) import each .json file as its own session,
+// named after the file. Returns { imported, skipped }, where skipped lists
+// files that couldn't be imported and thoughts left out of imported sessions.
+async function importSessions({ content, path: sourcePath, format = 'auto', sessionName }) {
+  const skipped = [];
+  const record = ({ skipped: skippedThoughts, ...result }, source) => {
+    skipped.push(...skippedThoughts.map(entry => source ? { source, ...entry } : entry));
+    return source ? { ...result, source } : result;
+  };
+  
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid import format '${format}'. Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (content !== undefined && sourcePath !== undefined) {
+    throw new Error('Provide either content or path, not both');
+  }
+  if (content === undefined && sourcePath === undefined) {
+    if (format !== 'legacy') {
+      throw new Error('Provide content or path to import');
+    }
+    sourcePath = LEGACY_SESSION_DIR;
+  }
+  
+  if (content !== undefined) {
+    const parsed = parseImportDocument(content, format);
+    const name = sessionName || parsed.sessionName;
+    if (!name) {
+      throw new Error('sessionName is required: the import does not name its session');
+    }
+    return { imported: [record(await importParsedSession(name, parsed.thoughts))], skipped };
+  }
+  
+  const resolvedPath = path.resolve(expandHomePath(sourcePath));
+  const stats = await fs.stat(resolvedPath);
+  if (!stats.isDirectory()) {
+    const parsed = parseImportDocument(await fs.readFile(resolvedPath, 'utf8'), format);
+    const name = sessionName || parsed.sessionName || desanitizeFilename(path.basename(resolvedPath).replace(/\.(md|markdown)$/i, ''));
+    return { imported: [record(await importParsedSession(name, parsed.thoughts), resolvedPath)], skipped };
+  }
+  
+  if (sessionName) {
+    throw new Error('sessionName can only be used when importing a single file');
+  }
+  const imported = [];
+  const files = (await fs.readdir(resolvedPath)).filter(file => file.endsWith('.json')).sort();
+  for (const file of files) {
+    const source = path.join(resolvedPath, file);
+    try {
+      const parsed = parseImportDocument(await fs.readFile(source, 'utf8'), format);
+      let name = parsed.sessionName || desanitizeFilename(file);
+      try {
+        validateSessionName(name);
+      } catch {
+        // Pre-1.3 session names were unstructured; keep them recognizable
+        name = `legacy:${desanitizeFilename(file).replace(/[^a-zA-Z0-9_-]/g, '_')}:imported`;
+      }
+      imported.push(record(await importParsedSession(name, parsed.thoughts), source));
+    } catch (error) {
+      skipped.push({ source, error: error.message });
+    }
+  }
+  return { imported, skipped };
+}
+
+// ============================================
+// Resources
+// ============================================
+//
+// Sessions are exposed as session://category/name/subcategory (one path
+// segment per name part) and single thoughts as thought://<session>/<id>,
+// with the session name URI-encoded. Clients can subscribe to either and are
+// notified when a write in this process changes it.
+
+// Connected servers, each with the resource URIs its client subscribed to
+const resourceSubscriptions = new Map();
+
+function sessionResourceUri(sessionName) {
+  return `session://${sessionName.split(':').map(encodeURIComponent).join('/')}`;
+}
+
+function thoughtResourceUri(sessionName, thoughtId) {
+  return `thought://${encodeURIComponent(sessionName)}/${encodeURIComponent(thoughtId)}`;
+}
+
+// Notify subscribers of a session (and of the given thoughts in it)
+function notifySessionUpdated(sessionName, thoughts = []) {
+  const uris = [sessionResourceUri(sessionName), ...thoughts.map(t => thoughtResourceUri(sessionName, t.id))];
+  for (const [server, subscribed] of resourceSubscriptions) {
+    for (const uri of uris) {
+      if (subscribed.has(uri)) {
+        server.server.sendResourceUpdated({ uri }).catch(error => {
+          console.error(`Warning: could not send resource update for ${uri}: ${error.message}`);
+        });
+      }
+    }
+  }
+}
+
+// Tell every client the set of sessions changed (create, delete, rename)
+function notifyResourceListChanged() {
+  for (const server of resourceSubscriptions.keys()) {
+    server.sendResourceListChanged();
+  }
+}
+
+function resourceContents(uri, data) {
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: "application/json",
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
+
+// Load a session for a resource read; throws if it doesn't exist
+async function loadResourceSession(sessionName) {
+  validateSessionName(sessionName);
+  const thoughts = await loadSession(sessionName);
+  if (thoughts.length === 0) {
+    throw new Error(`Session ${sessionName} does not exist or is empty`);
+  }
+  return thoughts;
+}
+
+function registerResources(server) {
+  server.registerResource(
+    "session",
+    new ResourceTemplate("session://{category}/{name}/{+subcategory}", {
+      list: async () => {
+        const sessions = await storage.list();
+        return {
+          resources: sessions.map(({ sessionName, lastModified }) => ({
+            uri: sessionResourceUri(sessionName),
+            name: sessionName,
+            mimeType: "application/json",
+            annotations: { lastModified: lastModified.toISOString() }
+          }))
+        };
+      }
+    }),
+    {
+      title: "Thinking Session",
+      description: "A session's metadata and all of its thoughts, in order. The URI path is the session name with colons replaced by slashes.",
+      mimeType: "application/json"
+    },
+    async (uri, { category, name, subcategory }) => {
+      const sessionName = [category, name, ...subcategory.split('/')].map(decodeURIComponent).join(':');
+      const thoughts = await loadResourceSession(sessionName);
+      return resourceContents(uri, {
+        sessionName,
+        metadata: await loadSessionMetadata(sessionName, thoughts),
+        thoughtCount: thoughts.length,
+        thoughts
+      });
+    }
+  );
+  
+  server.registerResource(
+    "thought",
+    new ResourceTemplate("thought://{session}/{thoughtId}", { list: undefined }),
+    {
+      title: "Thought",
+      description: "A single thought, addressed by URI-encoded session name and thought ID",
+      mimeType: "application/json"
+    },
+    async (uri, { session, thoughtId }) => {
+      const sessionName = decodeURIComponent(session);
+      const id = decodeURIComponent(thoughtId);
+      const thoughts = await loadResourceSession(sessionName);
+      const thought = thoughts.find(t => t.id === id);
+      if (!thought) {
+        throw new Error(`Thought ${id} not found in session ${sessionName}`);
+      }
+      return resourceContents(uri, { sessionName, ...thought });
+    }
+  );
+  
+  const subscribed = new Set();
+  resourceSubscriptions.set(server, subscribed);
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscribed.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribed.delete(request.params.uri);
+    return {};
+  });
+  server.server.onclose = () => {
+    resourceSubscriptions.delete(server);
+  };
+}
+
+// ============================================
+// Prompts
+// ============================================
+//
+// One guided-reasoning prompt per thinking mode, plus a prompt for resolving
+// contradictions. Each loads the session and asks the model to continue it in
+// that mode, recording its reasoning back through the think tool.
+
+const MODE_PROMPTS = {
+  linear: {
+    name: "linear_reasoning",
+    title: "Continue Reasoning Step by Step",
+    description: "Continue a session's line of reasoning one logical step at a time",
+    instructions: [
+      "Pick up the reasoning where the session left off and advance it one logical step at a time.",
+      "State each step's premise and what follows from it; don't skip steps.",
+      "Point out any earlier step whose conclusion doesn't follow from its premises.",
+      "End with the conclusion the session now supports and the next open step."
+    ]
+  },
+  creative: {
+    name: "creative_exploration",
+    title: "Explore Alternatives",
+    description: "Generate alternative ideas, reframings and unexplored directions for a session",
+    instructions: [
+      "Generate at least three alternatives to the session's current direction, including one that inverts its main assumption.",
+      "Reframe the problem from a different domain or analogy.",
+      "Name the idea that seems least obvious but most worth testing, and why.",
+      "Defer judgement: note risks briefly but don't discard ideas yet."
+    ]
+  },
+  critical: {
+    name: "critical_review",
+    title: "Start Critical Review",
+    description: "Critically review a session's reasoning for weak assumptions, gaps and counter-evidence",
+    instructions: [
+      "List the key claims the session relies on and the assumptions beneath each.",
+      "For each claim, give the strongest counter-argument or missing evidence.",
+      "Flag logical gaps, circular reasoning and conclusions stated with more confidence than the support warrants.",
+      "Rank the weaknesses by how much they would change the conclusion if they hold."
+    ]
+  },
+  strategic: {
+    name: "strategic_plan",
+    title: "Strategic Plan from Session",
+    description: "Turn a session's reasoning into goals, options, trade-offs and a concrete plan",
+    instructions: [
+      "Summarize the goal the session is working toward and the constraints it has identified.",
+      "Lay out the realistic options, with the trade-offs and risks of each.",
+      "Recommend one option and turn it into ordered, concrete next steps.",
+      "Name the signals that would show the plan is failing and what to do then."
+    ]
+  },
+  empathetic: {
+    name: "empathetic_perspective",
+    title: "Stakeholder Perspectives",
+    description: "Revisit a session's reasoning from the perspectives of the people it affects",
+    instructions: [
+      "Identify the people and groups affected by the session's conclusions.",
+      "For each, describe how they would see the situation, what they need and what they fear.",
+      "Point out where the session's reasoning overlooks or misreads a stakeholder.",
+      "Suggest how the conclusion should change to account for these perspectives."
+    ]
+  }
+};
+
+// Render thoughts as a numbered transcript for a prompt
+function formatThoughtsForPrompt(thoughts) {
+  const positions = new Map(thoughts.map((t, i) => [t.id, i + 1]));
+  return thoughts.map((t, i) => {
+    const tags = t.tags && t.tags.length > 0 ? `, tags: ${t.tags.join(', ')}` : '';
+    const target = t.relates_to ? (positions.has(t.relates_to) ? `#${positions.get(t.relates_to)}` : t.relates_to) : null;
+    const relation = target ? ` (${t.relationship_type} ${target})` : '';
+    return `#${i + 1} [${t.mode}${tags}] ${t.id}${relation}\n${t.content}`;
+  }).join('\n\n');
+}
+
+// Load the visible thoughts of a session for a prompt, keeping the most recent
+// SESSION_MAX_RETURN; throws if the session doesn't exist
+async function loadPromptThoughts(sessionName) {
+  validateSessionName(sessionName);
+  const thoughts = filterRetracted(await loadSession(sessionName), false);
+  if (thoughts.length === 0) {
+    throw new Error(`Session ${sessionName} does not exist or is empty`);
+  }
+  const omitted = Math.max(0, thoughts.length - SESSION_MAX_RETURN);
+  return { thoughts: thoughts.slice(omitted), omitted };
+}
+
+function sessionTranscript(sessionName, thoughts, omitted) {
+  const header = omitted > 0
+    ? `Session "${sessionName}" (most recent ${thoughts.length} thoughts; ${omitted} earlier thoughts omitted):`
+    : `Session "${sessionName}" (${thoughts.length} thoughts):`;
+  return `${header}\n\n${formatThoughtsForPrompt(thoughts)}`;
+}
+
+function promptMessage(description, text) {
+  return {
+    description,
+    messages: [{
+      role: "user",
+      content: { type: "text", text }
+    }]
+  };
+}
+
+function registerPrompts(server) {
+  for (const [mode, prompt] of Object.entries(MODE_PROMPTS)) {
+    server.registerPrompt(
+      prompt.name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema: {
+          sessionName: z.string().describe("Session to work on"),
+          focus: z.string().optional().describe("Optional question or aspect to concentrate on")
+        }
+      },
+      async ({ sessionName, focus }) => {
+        const { thoughts, omitted } = await loadPromptThoughts(sessionName);
+        const text = [
+          `Work on the thinking session below in ${mode} mode.`,
+          focus ? `Focus: ${focus}` : null,
+          prompt.instructions.map(line => `- ${line}`).join('\n'),
+          sessionTranscript(sessionName, thoughts, omitted),
+          `Record each step of your reasoning with the think tool, using sessionName "${sessionName}" and mode "${mode}". Set relates_to to the ID of the thought you are responding to, with a relationship_type of ${RELATIONSHIP_TYPES.slice(0, -1).join(', ')} or ${RELATIONSHIP_TYPES.at(-1)}.`
+        ].filter(Boolean).join('\n\n');
+        return promptMessage(prompt.description, text);
+      }
+    );
+  }
+  
+  server.registerPrompt(
+    "synthesize_contradictions",
+    {
+      title: "Synthesize Contradictions",
+      description: "Resolve the unresolved contradictions in a session into a synthesis",
+      argsSchema: {
+        sessionName: z.string().describe("Session to work on")
+      }
+    },
+    async ({ sessionName }) => {
+      const { thoughts, omitted } = await loadPromptThoughts(sessionName);
+      const allThoughts = await loadSession(sessionName);
+      const byId = new Map(allThoughts.map(t => [t.id, t]));
+      const pairs = findOpenIssues(sessionName, allThoughts, 'contradictions')
+        .map((issue, i) => `Contradiction ${i + 1}:\nClaim (${issue.claim.id}): ${byId.get(issue.claim.id).content}\nObjection (${issue.objection.id}): ${byId.get(issue.objection.id).content}`);
+      
+      const text = [
+        "Synthesize the contradictions in the thinking session below.",
+        pairs.length > 0
+          ? `The session has ${pairs.length} unresolved contradiction${pairs.length === 1 ? '' : 's'}:\n\n${pairs.join('\n\n')}`
+          : "The session has no unresolved contradictions marked between thoughts. Look for claims that are in tension with each other.",
+        [
+          "- For each contradiction, decide whether one side is wrong, both are partly right, or they apply under different conditions.",
+          "- State the position that reconciles them and what evidence would settle what remains open.",
+          "- Note how the synthesis changes the session's overall conclusion."
+        ].join('\n'),
+        sessionTranscript(sessionName, thoughts, omitted),
+        `Record each synthesis with the think tool, using sessionName "${sessionName}", mode "critical", relates_to set to the objection's ID and relationship_type "synthesizes". Then close the contradiction with resolve_issue.`
+      ].join('\n\n');
+      return promptMessage("Resolve the unresolved contradictions in a session into a synthesis", text);
+    }
+  );
+}
+
+// Tool definitions, registered on a fresh McpServer for every client
+// connection (stdio has one; the HTTP transport has one per client session)
+const toolDefinitions = [];
+
+function defineTool(name, config, handler) {
+  toolDefinitions.push({ name, config, handler });
+}
+
+// Create an MCP server instance with every tool, resource and prompt registered
+function createServer() {
+  const server = new McpServer({
+    name: "session-think-mcp",
+    version: "1.3.1"
+  }, {
+    capabilities: { resources: { subscribe: true, listChanged: true } }
+  });
+  
+  for (const { name, config, handler } of toolDefinitions) {
+    server.registerTool(name, config, handler);
+  }
+  registerResources(server);
+  registerPrompts(server);
+  
+  return server;
+}
+
+// ============================================
+// Tool: think
+// ============================================
+defineTool(
+  "think",
+  {
+    title: "Think Tool",
+    description: `A persistent thinking workspace that preserves reasoning across sessions. 
+
+IMPORTANT: Always provide a sessionName parameter with format: category:name:subcategory
+Examples:
+- thesis:NVDA:ai_dominance
+- topic:research:quantum_computing  
+- project:website:redesign
+
+If no sessionName is provided, a temporary session will be generated (TEMP:timestamp:random).
+
+The sessionName is used to store and retrieve your thoughts. Use consistent naming to maintain context across conversations.`,
+    inputSchema: {
+      reasoning: z.string().describe("Your thinking, reasoning, or analysis text"),
+      sessionName: z.string().optional().describe("Session name in format: category:name:subcategory (e.g., thesis:NVDA:ai_dominance). IMPORTANT: Always provide this for persistent sessions."),
+      mode: z.enum(THINKING_MODES).optional()
+        .describe(describeVocabulary("Optional thinking mode to structure your reasoning", startupConfig.modes)),
+      tags: z.array(z.string()).optional().describe("Optional tags for categorizing thoughts"),
+      relates_to: z.string().optional().describe("ID of thought this relates to, or session#thoughtId for a thought in another session"),
+      relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe(describeVocabulary("Type of relationship to the referenced thought", startupConfig.relationshipTypes)),
+      links: z.array(z.object({
+        thought_id: z.string().describe("ID of an earlier thought, or session#thoughtId for a thought in another session"),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).describe("Type of relationship to that thought")
+      })).optional().describe("Several typed links, e.g. a synthesis of three thoughts, or supporting one thought and contradicting another. Added after relates_to, if given"),
+      status: z.enum(["question"]).optional().describe("Mark the thought as an open question, tracked by list_open_issues until resolved"),
+      confidence: z.number().min(0).max(1).optional().describe("How sure you are of this thought, from 0 to 1"),
+      evidence: z.array(EVIDENCE_INPUT).optional().describe("What backs this thought up: URLs, file paths, quotations or other thoughts of the session"),
+      include_context: z.boolean().optional().describe("Also return the session's latest checkpoint digest and the thoughts recorded since it"),
+      template: z.string().optional().describe("Seed a new session from this template (see list_templates) instead of the one matching its name")
+    }
+  },
+  async ({ reasoning, sessionName, mode, tags, relates_to, relationship_type, links, status, confidence, evidence, include_context, template }) => {
+    try {
+      // Determine session name
+      let session = sessionName;
+      if (!session) {
+        session = generateRandomSessionName();
+      } else {
+        validateSessionName(session);
+      }
+      
+      // relates_to is the first link; references to other sessions also lock
+      // and update those sessions
+      const requestedLinks = [
+        ...(relates_to && relationship_type ? [{ thought_id: relates_to, relationship_type }] : []),
+        ...(links || [])
+      ];
+      const references = requestedLinks.map(link => ({
+        ...parseThoughtReference(link.thought_id, session),
+        relationship_type: link.relationship_type
+      }));
+      const targetSessions = [...new Set(references.map(ref => ref.sessionName).filter(Boolean))];
+      
+      const { templates } = await loadTemplates();
+      const requestedTemplate = template ? templates.find(t => t.name === template) : null;
+      if (template && !requestedTemplate) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Template not found", template }) }] };
+      }
+      
+      // Serialize load-modify-save under per-session lock
+      return await withSessionLocks([session, ...targetSessions], async () => {
+        const existingThoughts = await loadSession(session);
+        const isNewSession = existingThoughts.length === 0;
+        if (requestedTemplate && !isNewSession) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Templates only seed new sessions", sessionName: session, template }) }] };
+        }
+        const thoughts = [...existingThoughts];
+        
+        // A new session gets the template's prompts ahead of its first thought
+        const sessionTemplate = requestedTemplate || findSessionTemplate(session, existingThoughts, templates);
+        const prompts = isNewSession && sessionTemplate ? createTemplatePrompts(sessionTemplate) : [];
+        thoughts.push(...prompts);
+        // Thoughts of each session the references point into
+        const sessionThoughts = new Map([[null, thoughts]]);
+        for (const name of targetSessions) {
+          sessionThoughts.set(name, await loadSession(name));
+        }
+      
+      // Add new thought
+      const thoughtId = `thought_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+      const thoughtObj = {
+        id: thoughtId,
+        content: reasoning,
+        mode: mode || "linear",
+        tags: [...new Set([...(tags || []), ...(sessionTemplate?.requiredTags || [])])],
+        timestamp: new Date().toISOString(),
+        relates_to: null,
+        relationship_type: null,
+        relationships_in: [],
+        relationships_out: [],
+        status: status || null,
+        confidence: confidence ?? null,
+        evidence: createEvidence(evidence),
+        revisions: [],
+        retracted: false
+      };
+      
+      const evidenceProblem = checkEvidence(thoughtObj, evidence, thoughts);
+      if (evidenceProblem) {
+        return { content: [{ type: "text", text: JSON.stringify(evidenceProblem) }] };
+      }
+
+      // Thoughts to persist per session: the new one plus any thought that
+      // gains a backlink
+      const changedThoughts = new Map([[null, [...prompts, thoughtObj]]]);
+      
+      // Validate and add each link; nothing is saved if one is invalid
+      for (const reference of references) {
+        const targetThoughts = sessionThoughts.get(reference.sessionName);
+        const problem = checkLinkTarget(thoughtObj, reference, targetThoughts);
+        if (problem) {
+          return { content: [{ type: "text", text: JSON.stringify(problem) }] };
+        }
+        const referencedThought = targetThoughts.find(t => t.id === reference.thoughtId);
+        addThoughtLink(thoughtObj, session, referencedThought, reference.sessionName, reference.relationship_type);
+        if (!changedThoughts.has(reference.sessionName)) changedThoughts.set(reference.sessionName, []);
+        changedThoughts.get(reference.sessionName).push(referencedThought);
+      }
+
+      thoughts.push(thoughtObj);
+      
+      // Save updated session, then the backlinks in the referenced sessions
+      await saveSession(session, thoughts, changedThoughts.get(null));
+      for (const name of targetSessions) {
+        await saveSession(name, sessionThoughts.get(name), changedThoughts.get(name));
+      }
+      if (isNewSession) {
+        notifyResourceListChanged();
+      }
+      
+      // Context since the last checkpoint, as it stood before this thought
+      const checkpoint_context = include_context ? checkpointContext(existingThoughts) : null;
+      
+      // Write a checkpoint once enough thoughts have accumulated since the last one
+      let checkpoint = null;
+      if (SESSION_CHECKPOINT_INTERVAL > 0 &&
+          thoughtsSinceCheckpoint(thoughts).since.length >= SESSION_CHECKPOINT_INTERVAL) {
+        const digest = buildSessionDigest(session, thoughts, { scope: 'since_checkpoint' });
+        const checkpointThought = createCheckpointThought(digest);
+        thoughts.push(checkpointThought);
+        await saveSession(session, thoughts, [checkpointThought]);
+        checkpoint = { id: checkpointThought.id, thoughtCount: digest.thoughtCount };
+      }
+      
+      // Add related thought context for AI
+      let related_context = null;
+      let reasoning_chain = null;
+      
+      // Context comes from the first link
+      if (references.length > 0) {
+        const { sessionName: targetSession, thoughtId: relatedId, relationship_type } = references[0];
+        const targetThoughts = sessionThoughts.get(targetSession);
+        const related_thought = targetThoughts.find(t => t.id === relatedId);
+        if (related_thought) {
+          related_context = {
+            relationship: relationship_type,
+            related_thought_id: relatedId,
+            related_session: targetSession || session,
+            related_content: related_thought.content.substring(0, 200) + "...",
+            related_mode: related_thought.mode
+          };
+          
+          if (CHAIN_RELATIONSHIP_TYPES.has(relationship_type)) {
+            const chain = buildReasoningChain(relatedId, targetThoughts);
+            
+            const conflicts = targetThoughts.filter(t => 
+              !t.retracted && t.status !== 'resolved' && t.relationships_out.some(rel => 
+                rel.thought_id === relatedId && !rel.session && rel.relationship_type === 'contradicts'
+              )
+            ).slice(0, 3);
+            
+            const supports = targetThoughts.filter(t => 
+              !t.retracted && t.relationships_out.some(rel => 
+                rel.thought_id === relatedId && !rel.session && rel.relationship_type === 'supports'
+              )
+            ).slice(0, 3);
+            
+            related_context = {
+              type: 'builds_on_enhanced',
+              chain_preview: chain.chain.slice(0, 5).map(t => t.content_preview),
+              conflicts: conflicts.map(t => t.content.substring(0, 80) + "..."),
+              supports: supports.map(t => t.content.substring(0, 80) + "..."),
+              // Belief in the thought built on, after its supports and contradictions
+              belief: computeBeliefs(targetThoughts).get(relatedId) || null
+            };
+            reasoning_chain = chain;
+          }
+        }
+      }
+      
         // Generate the response JSON
         const responseJson = {
           thinking: reasoning,
           thoughtId: thoughtId,
           sessionName: session,
           mode: mode || "linear",
-          tags: tags || [],
+          tags: thoughtObj.tags,
           timestamp: new Date().toISOString(),
           thoughtCount: thoughts.length,
           preserved: true,
+          links: thoughtObj.relationships_out,
           related_context: related_context,
           reasoning_chain: reasoning_chain,
           isNewSession: isNewSession
         };
+        if (thoughtObj.confidence !== null) responseJson.confidence = thoughtObj.confidence;
+        if (thoughtObj.evidence.length > 0) responseJson.evidence = thoughtObj.evidence;
+        if (sessionTemplate) responseJson.template = { name: sessionTemplate.name, seededPrompts: prompts.map(p => p.id) };
+        if (include_context) responseJson.checkpoint_context = checkpoint_context;
+        if (checkpoint) responseJson.checkpoint = checkpoint;
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(responseJson, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ error: error.message }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: edit_thought
+// ============================================
+defineTool(
+  "edit_thought",
+  {
+    title: "Edit Thought",
+    description: "Amend a single thought in a session. The previous version is kept in the thought's revision history.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name containing the thought (format: category:name:subcategory)"),
+      thoughtId: z.string().describe("ID of the thought to edit"),
+      reasoning: z.string().optional().describe("Replacement thinking text"),
+      mode: z.enum(THINKING_MODES).optional().describe("Replacement thinking mode"),
+      tags: z.array(z.string()).optional().describe("Replacement tags"),
+      relates_to: z.string().nullable().optional().describe("New related thought ID, or session#thoughtId for a thought in another session (null removes the existing link)"),
+      relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe("Type of relationship to the referenced thought"),
+      status: z.enum(["question"]).nullable().optional().describe("Mark as an open question (reopening it if resolved), or null to clear the status"),
+      confidence: z.number().min(0).max(1).nullable().optional().describe("New confidence from 0 to 1, or null to clear it"),
+      evidence: z.array(EVIDENCE_INPUT).optional().describe("Evidence entries to add"),
+      remove_evidence: z.array(z.string()).optional().describe("IDs of evidence entries to remove"),
+      reason: z.string().optional().describe("Why the thought was changed (stored with the revision)")
+    }
+  },
+  async ({ sessionName, thoughtId, reasoning, mode, tags, relates_to, relationship_type, status, confidence, evidence, remove_evidence, reason }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      if (reasoning === undefined && mode === undefined && tags === undefined &&
+          relates_to === undefined && relationship_type === undefined && status === undefined &&
+          confidence === undefined && evidence === undefined && remove_evidence === undefined) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "No changes provided", thought_id: thoughtId }) }] };
+      }
+      
+      // Changing only the type keeps the current target
+      const relinking = relates_to !== undefined || relationship_type !== undefined;
+      const newReference = relates_to ? parseThoughtReference(relates_to, sessionName) : null;
+      
+      // Relinking may touch the sessions at either end of a cross-session link
+      const withLocks = relinking
+        ? (fn) => withLinkedSessionLocks(sessionName, newReference?.sessionName ? [newReference.sessionName] : [], fn)
+        : (fn) => withSessionLock(sessionName, async () => fn(await loadSession(sessionName)));
+      
+      return await withLocks(async (thoughts) => {
+        const thought = thoughts.find(t => t.id === thoughtId);
+        
+        if (!thought) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        if (thought.retracted) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot edit a retracted thought", thought_id: thoughtId }) }] };
+        }
+        
+        const evidenceProblem = checkEvidence(thought, evidence, thoughts);
+        if (evidenceProblem) {
+          return { content: [{ type: "text", text: JSON.stringify(evidenceProblem) }] };
+        }
+        const unknownEvidence = (remove_evidence || []).filter(id => !(thought.evidence || []).some(entry => entry.id === id));
+        if (unknownEvidence.length > 0) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Evidence not found", evidence_ids: unknownEvidence }) }] };
+        }
+        
+        const previous = thought.relates_to ? parseThoughtReference(thought.relates_to) : null;
+        const target = relates_to !== undefined ? newReference : previous;
+        const targetThoughts = target?.sessionName ? await loadSession(target.sessionName) : thoughts;
+        
+        const linkType = relationship_type || thought.relationship_type;
+        
+        if (relinking && target) {
+          if (!linkType) {
+            return { content: [{ type: "text", text: JSON.stringify({ error: "relationship_type is required when setting relates_to" }) }] };
+          }
+          
+          // The link relates_to names now is replaced, so only the thought's
+          // other links can make the new one a duplicate
+          const otherLinks = thought.relationships_out.filter(rel => !(previous &&
+            formatThoughtReference(rel.session, rel.thought_id) === thought.relates_to && rel.relationship_type === thought.relationship_type));
+          const linkProblem = checkLinkTarget({ ...thought, relationships_out: otherLinks }, { ...target, relationship_type: linkType }, targetThoughts);
+          if (linkProblem) {
+            return { content: [{ type: "text", text: JSON.stringify(linkProblem) }] };
+          }
+        } else if (relinking && relationship_type) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought has no link to change the relationship type of", thought_id: thoughtId }) }] };
+        }
+        
+        recordRevision(thought, "edit", reason);
+        // Changed thoughts per session; this session is saved first
+        const changes = new Map([[sessionName, { thoughts, changed: new Set([thought]) }]]);
+        const markChanged = (name, sessionThoughts, changedThought) => {
+          if (!changes.has(name)) changes.set(name, { thoughts: sessionThoughts, changed: new Set() });
+          changes.get(name).changed.add(changedThought);
+        };
+        
+        if (reasoning !== undefined) thought.content = reasoning;
+        if (mode !== undefined) thought.mode = mode;
+        if (tags !== undefined) thought.tags = tags;
+        if (status !== undefined) {
+          thought.status = status;
+          thought.resolution = null;
+        }
+        if (confidence !== undefined) thought.confidence = confidence;
+        if (evidence !== undefined || remove_evidence !== undefined) {
+          thought.evidence = [
+            ...(thought.evidence || []).filter(entry => !(remove_evidence || []).includes(entry.id)),
+            ...createEvidence(evidence)
+          ];
+        }
+        
+        if (relinking) {
+          if (previous) {
+            const previousThoughts = !previous.sessionName ? thoughts
+              : (previous.sessionName === target?.sessionName ? targetThoughts : await loadSession(previous.sessionName));
+            const previousTarget = previousThoughts.find(t => t.id === previous.thoughtId);
+            if (previousTarget) markChanged(previous.sessionName || sessionName, previousThoughts, previousTarget);
+            unlinkThought(thought, sessionName, previousThoughts);
+          }
+          if (target) {
+            const referencedThought = targetThoughts.find(t => t.id === target.thoughtId);
+            markChanged(target.sessionName || sessionName, targetThoughts, referencedThought);
+            addThoughtLink(thought, sessionName, referencedThought, target.sessionName, linkType);
+            // relates_to names the new link even if unlinking promoted another
+            thought.relates_to = formatThoughtReference(target.sessionName, target.thoughtId);
+            thought.relationship_type = linkType;
+          }
+        }
+        
+        thought.updated_at = new Date().toISOString();
+        
+        for (const [name, { thoughts: sessionThoughts, changed }] of changes) {
+          await saveSession(name, sessionThoughts, [...changed]);
+        }
+        
+        const responseJson = {
+          status: "success",
+          sessionName: sessionName,
+          thoughtId: thoughtId,
+          version: thought.revisions.length + 1,
+          thought: thought,
+          timestamp: new Date().toISOString()
+        };
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(responseJson, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to edit thought ${thoughtId}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to edit thought",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: link_thoughts
+// ============================================
+defineTool(
+  "link_thoughts",
+  {
+    title: "Link Thoughts",
+    description: "Add typed links from an existing thought to earlier thoughts, in this session or another (session#thoughtId). Links are validated as in think: no self-links, no links to later or retracted thoughts, and the target must exist.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name containing the thought (format: category:name:subcategory)"),
+      thoughtId: z.string().describe("ID of the thought to link from"),
+      links: z.array(z.object({
+        thought_id: z.string().describe("ID of an earlier thought, or session#thoughtId for a thought in another session"),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).describe("Type of relationship to that thought")
+      })).min(1).describe("Links to add"),
+      reason: z.string().optional().describe("Why the links were added (stored with the revision)")
+    }
+  },
+  async ({ sessionName, thoughtId, links, reason }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const references = links.map(link => ({
+        ...parseThoughtReference(link.thought_id, sessionName),
+        relationship_type: link.relationship_type
+      }));
+      const targetSessions = [...new Set(references.map(ref => ref.sessionName).filter(Boolean))];
+      
+      return await withSessionLocks([sessionName, ...targetSessions], async () => {
+        const thoughts = await loadSession(sessionName);
+        const thought = thoughts.find(t => t.id === thoughtId);
+        
+        if (!thought) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        if (thought.retracted) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot link a retracted thought", thought_id: thoughtId }) }] };
+        }
+        
+        const sessionThoughts = new Map([[null, thoughts]]);
+        for (const name of targetSessions) {
+          sessionThoughts.set(name, await loadSession(name));
+        }
+        
+        recordRevision(thought, "link", reason);
+        const changedThoughts = new Map([[null, [thought]]]);
+        for (const reference of references) {
+          const targetThoughts = sessionThoughts.get(reference.sessionName);
+          const problem = checkLinkTarget(thought, reference, targetThoughts);
+          if (problem) {
+            return { content: [{ type: "text", text: JSON.stringify(problem) }] };
+          }
+          const target = targetThoughts.find(t => t.id === reference.thoughtId);
+          addThoughtLink(thought, sessionName, target, reference.sessionName, reference.relationship_type);
+          if (!changedThoughts.has(reference.sessionName)) changedThoughts.set(reference.sessionName, []);
+          changedThoughts.get(reference.sessionName).push(target);
+        }
+        thought.updated_at = new Date().toISOString();
+        
+        await saveSession(sessionName, thoughts, changedThoughts.get(null));
+        for (const name of targetSessions) {
+          await saveSession(name, sessionThoughts.get(name), changedThoughts.get(name));
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              sessionName: sessionName,
+              thoughtId: thoughtId,
+              added: references.map(ref => ({
+                thought_id: formatThoughtReference(ref.sessionName, ref.thoughtId),
+                relationship_type: ref.relationship_type
+              })),
+              relates_to: thought.relates_to,
+              relationship_type: thought.relationship_type,
+              relationships_out: thought.relationships_out,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to link thought ${thoughtId}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to link thoughts",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: unlink_thoughts
+// ============================================
+defineTool(
+  "unlink_thoughts",
+  {
+    title: "Unlink Thoughts",
+    description: "Remove links from a thought to other thoughts, with the backlinks on the other side. Without a relationship_type, every link to that thought is removed.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name containing the thought (format: category:name:subcategory)"),
+      thoughtId: z.string().describe("ID of the thought to unlink"),
+      links: z.array(z.object({
+        thought_id: z.string().describe("ID of the linked thought, or session#thoughtId for a thought in another session"),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe("Only remove the link of this type")
+      })).min(1).describe("Links to remove"),
+      reason: z.string().optional().describe("Why the links were removed (stored with the revision)")
+    }
+  },
+  async ({ sessionName, thoughtId, links, reason }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const references = links.map(link => ({
+        ...parseThoughtReference(link.thought_id, sessionName),
+        relationship_type: link.relationship_type || null
+      }));
+      const targetSessions = [...new Set(references.map(ref => ref.sessionName).filter(Boolean))];
+      
+      return await withSessionLocks([sessionName, ...targetSessions], async () => {
+        const thoughts = await loadSession(sessionName);
+        const thought = thoughts.find(t => t.id === thoughtId);
+        
+        if (!thought) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        const sessionThoughts = new Map([[null, thoughts]]);
+        for (const name of targetSessions) {
+          sessionThoughts.set(name, await loadSession(name));
+        }
+        
+        recordRevision(thought, "unlink", reason);
+        const changedThoughts = new Map([[null, [thought]]]);
+        let removedCount = 0;
+        for (const reference of references) {
+          const targetThoughts = sessionThoughts.get(reference.sessionName);
+          const removed = removeThoughtLinks(thought, sessionName, targetThoughts, reference, reference.relationship_type);
+          if (removed === 0) {
+            return { content: [{ type: "text", text: JSON.stringify({ error: "Link not found", thought_id: formatThoughtReference(reference.sessionName, reference.thoughtId), relationship_type: reference.relationship_type }) }] };
+          }
+          removedCount += removed;
+          const target = targetThoughts.find(t => t.id === reference.thoughtId);
+          if (target) {
+            if (!changedThoughts.has(reference.sessionName)) changedThoughts.set(reference.sessionName, []);
+            changedThoughts.get(reference.sessionName).push(target);
+          }
+        }
+        thought.updated_at = new Date().toISOString();
+        
+        await saveSession(sessionName, thoughts, changedThoughts.get(null));
+        for (const name of targetSessions) {
+          if (changedThoughts.has(name)) {
+            await saveSession(name, sessionThoughts.get(name), changedThoughts.get(name));
+          }
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              sessionName: sessionName,
+              thoughtId: thoughtId,
+              removedCount: removedCount,
+              relates_to: thought.relates_to,
+              relationship_type: thought.relationship_type,
+              relationships_out: thought.relationships_out,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to unlink thought ${thoughtId}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to unlink thoughts",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: retract_thought
+// ============================================
+defineTool(
+  "retract_thought",
+  {
+    title: "Retract Thought",
+    description: "Retract a thought that is wrong or outdated. Retracted thoughts are kept with their revision history and links, but hidden from views and searches unless requested.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name containing the thought (format: category:name:subcategory)"),
+      thoughtId: z.string().describe("ID of the thought to retract"),
+      reason: z.string().optional().describe("Why the thought is being retracted"),
+      restore: z.boolean().optional().default(false).describe("Restore a previously retracted thought instead")
+    }
+  },
+  async ({ sessionName, thoughtId, reason, restore = false }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      return await withSessionLock(sessionName, async () => {
+        const thoughts = await loadSession(sessionName);
+        const thought = thoughts.find(t => t.id === thoughtId);
+        
+        if (!thought) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        if (Boolean(thought.retracted) !== restore) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: restore ? "Thought is not retracted" : "Thought is already retracted", thought_id: thoughtId }) }] };
+        }
+        
+        recordRevision(thought, restore ? "restore" : "retract", reason);
+        
+        const now = new Date().toISOString();
+        thought.retracted = !restore;
+        thought.retracted_at = restore ? null : now;
+        thought.retraction_reason = restore ? null : (reason || null);
+        thought.updated_at = now;
+        
+        await saveSession(sessionName, thoughts, [thought]);
+        
+        const responseJson = {
+          status: "success",
+          sessionName: sessionName,
+          thoughtId: thoughtId,
+          retracted: thought.retracted,
+          reason: reason || null,
+          revisionCount: thought.revisions.length,
+          linkedThoughts: thought.relationships_in.length + thought.relationships_out.length,
+          timestamp: now
+        };
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(responseJson, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to retract thought ${thoughtId}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to retract thought",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: list_sessions
+// ============================================
+defineTool(
+  "list_sessions",
+  {
+    title: "List Sessions",
+    description: "List all available thinking sessions with metadata, optionally filtered by status, owner, title or custom fields, or the sessions in the trash or the archive.",
+    inputSchema: {
+      limit: z.number().min(1).max(100).optional().default(50).describe("Maximum number of sessions to return"),
+      offset: z.number().min(0).optional().default(0).describe("Pagination offset"),
+      location: z.enum(["active", "trash", "archive"]).optional().default("active").describe("List active sessions, or deleted sessions in the trash or archived ones, with the IDs restore_session takes"),
+      status: z.enum(SESSION_STATUSES).optional().describe("Only sessions with this status"),
+      owner: z.string().optional().describe("Only sessions with this owner"),
+      title: z.string().optional().describe("Only sessions whose title contains this text (case-insensitive)"),
+      fields: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()])).optional().describe("Only sessions whose custom fields have all of these values")
+    }
+  },
+  async ({ limit = 50, offset = 0, location = "active", status, owner, title, fields }) => {
+    try {
+      if (location !== "active") {
+        const entries = await listRemovedSessions(location);
+        const { trash } = await loadConfig();
+        const page = entries.slice(offset, offset + limit).map(entry => location === "trash"
+          ? { ...entry, expiresAt: new Date(Date.parse(entry.removedAt) + trash.retentionDays * DAY_MS).toISOString() }
+          : { ...entry, thoughtCount: searchIndex.archives[entry.id]?.thoughtCount ?? null });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              location,
+              sessions: page,
+              count: page.length,
+              total: entries.length,
+              limit,
+              offset,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      }
+      
+      let sessions = await storage.list();
+      
+      // Metadata filters read the search index's copy of every session's
+      // metadata before paging
+      if (status || owner || title || fields) {
+        await syncSearchIndex({ throttle: true });
+        const matching = [];
+        for (const session of sessions) {
+          const metadata = searchIndex.sessions[session.sessionName]?.metadata || await loadSessionMetadata(session.sessionName);
+          if ((!status || metadata.status === status) &&
+              (!owner || metadata.owner === owner) &&
+              (!title || (metadata.title || '').toLowerCase().includes(title.toLowerCase())) &&
+              (!fields || Object.entries(fields).every(([key, value]) => metadata.fields[key] === value))) {
+            matching.push({ ...session, metadata });
+          }
+        }
+        sessions = matching;
+      }
+      
+      const sessionInfo = await Promise.all(
+        sessions.slice(offset, offset + limit).map(async ({ sessionName, lastModified, metadata }) => {
+          try {
+            const thoughts = await loadSession(sessionName);
+            metadata ??= await loadSessionMetadata(sessionName, thoughts);
+            return {
+              sessionName,
+              title: metadata.title,
+              status: metadata.status,
+              owner: metadata.owner,
+              created: metadata.created,
+              thoughtCount: thoughts.length,
+              firstThought: thoughts[0]?.timestamp || null,
+              lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
+              lastModified: lastModified.toISOString()
+            };
+          } catch (e) {
+            return {
+              sessionName,
+              error: "Could not read session data",
+              lastModified: lastModified.toISOString()
+            };
+          }
+        })
+      );
+      
+      const responseJson = {
+        sessions: sessionInfo,
+        count: sessionInfo.length,
+        total: sessions.length,
+        limit,
+        offset,
+        timestamp: new Date().toISOString()
+      };
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(responseJson, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error('Failed to list sessions:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to list sessions",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: browse_sessions
+// ============================================
+defineTool(
+  "browse_sessions",
+  {
+    title: "Browse Sessions",
+    description: "Browse the session namespace as a tree of category > name > subcategory, or drill into one prefix (e.g. 'thesis' or 'thesis:NVDA'). Each node aggregates session and thought counts, last activity and a tag cloud of the sessions below it.",
+    inputSchema: {
+      prefix: z.string().optional().describe("Only show sessions under this prefix of whole segments, e.g. 'thesis' or 'thesis:NVDA'"),
+      pattern: z.string().optional().describe("Glob pattern on the name segments, e.g. '*:NVDA' or 'thesis:*:ai_*' (* and ? match within a segment)"),
+      sortBy: z.enum(BROWSE_SORTS).default("name").describe("Order siblings by name (A-Z), activity (most recent first) or size (most thoughts first)"),
+      depth: z.number().min(1).max(10).optional().describe("Levels to expand below the prefix (default: all)")
+    }
+  },
+  async ({ prefix, pattern, sortBy, depth }) => {
+    try {
+      for (const [label, value] of [["prefix", prefix], ["pattern", pattern]]) {
+        if (value !== undefined && value.split(':').some(segment => segment.length === 0)) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: `Invalid ${label}: segments must not be empty`, [label]: value }) }] };
+        }
+      }
+      
+      await syncSearchIndex({ throttle: true });
+      const tree = buildSessionTree({ prefix, pattern, sortBy, depth });
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            prefix: prefix || null,
+            pattern: pattern || null,
+            sortBy: sortBy,
+            depth: depth || null,
+            tree: tree,
+            sessionCount: tree.sessions,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error('Failed to browse sessions:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to browse sessions",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: view_session
+// ============================================
+defineTool(
+  "view_session",
+  {
+    title: "View Session",
+    description: "View the thoughts of a session, oldest first by default. Filter by mode, tags, relationship type and time range, page with offset or a cursor that stays stable while the session grows, and choose the fields returned (e.g. content_preview instead of content).",
+    inputSchema: {
+      sessionName: z.string().describe("Session name to view (format: category:name:subcategory)"),
+      limit: z.number().min(1).max(200).optional().describe("Maximum number of thoughts to return (default: SESSION_MAX_RETURN env or 50)"),
+      offset: z.number().min(0).optional().default(0).describe("Pagination offset (ignored when cursor is given)"),
+      cursor: z.string().optional().describe("Continue after the last thought of a previous page (its nextCursor)"),
+      order: z.enum(["asc", "desc"]).default("asc").describe("asc: oldest first; desc: most recent first"),
+      mode: z.enum(THINKING_MODES).optional().describe("Only thoughts in this mode"),
+      tags: z.array(z.string()).optional().describe("Only thoughts with these tags"),
+      tag_match: z.enum(["any", "all"]).default("any").describe("Whether thoughts need any or all of the tags"),
+      relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe("Only thoughts that link to another with this relationship type"),
+      after: z.string().optional().describe("Only thoughts at or after this ISO 8601 timestamp"),
+      before: z.string().optional().describe("Only thoughts before this ISO 8601 timestamp"),
+      fields: z.array(z.string()).optional().describe("Fields to return per thought, e.g. [\"content_preview\", \"mode\", \"tags\", \"timestamp\"] (id is always included)"),
+      include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts")
+    }
+  },
+  async ({ sessionName, limit, offset = 0, cursor, order, mode, tags, tag_match, relationship_type, after, before, fields, include_retracted = false }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const range = {};
+      for (const [name, value] of [["after", after], ["before", before]]) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: `Invalid ${name} timestamp`, [name]: value }) }] };
+        }
+        range[name] = date.toISOString();
+      }
+      
+      const matching = await storage.queryThoughts(sessionName, {
+        mode, tags, tagMatch: tag_match, relationshipType: relationship_type, ...range
+      });
+      const thoughts = filterRetracted(matching, include_retracted).sort(compareThoughtOrder);
+      if (order === 'desc') thoughts.reverse();
+      const maxReturn = limit || SESSION_MAX_RETURN;
+      
+      // A cursor resumes after its thought in the chosen order
+      let start = offset;
+      if (cursor) {
+        const key = decodeViewCursor(cursor, order);
+        const direction = order === 'desc' ? -1 : 1;
+        const index = thoughts.findIndex(t => direction * compareThoughtOrder(t, key) > 0);
+        start = index === -1 ? thoughts.length : index;
+      }
+      
+      const paginatedThoughts = thoughts.slice(start, start + maxReturn);
+      const hasMore = start + maxReturn < thoughts.length;
+      
+      const responseJson = {
+        sessionName: sessionName,
+        thoughts: paginatedThoughts.map(t => projectThought(t, fields)),
+        count: paginatedThoughts.length,
+        totalThoughts: thoughts.length,
+        retractedHidden: matching.length - filterRetracted(matching, include_retracted).length,
+        order: order,
+        limit: maxReturn,
+        offset: cursor ? null : offset,
+        hasMore: hasMore,
+        // Also given on the last page, to pick up thoughts added later
+        nextCursor: paginatedThoughts.length > 0 ? encodeViewCursor(paginatedThoughts[paginatedThoughts.length - 1], order) : null,
+        timestamp: new Date().toISOString()
+      };
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(responseJson, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error(`Failed to view session ${sessionName}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to view session",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: delete_session
+// ============================================
+defineTool(
+  "delete_session",
+  {
+    title: "Delete Session",
+    description: "Delete a thinking session. It is moved to the trash, where restore_session can bring it back until the trash retention period ends, unless permanent is set.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name to delete (format: category:name:subcategory)"),
+      permanent: z.boolean().optional().default(false).describe("Delete without keeping a copy in the trash")
+    }
+  },
+  async ({ sessionName, permanent }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      if ((await loadPinnedSessions()).has(sessionName)) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Session is pinned; unpin it with pin_session first", sessionName }) }] };
+      }
+      
+      const { unlinkedSessions, removedId } = await removeSession(sessionName, permanent ? null : 'trash');
+      notifyResourceListChanged();
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: "success",
+            message: permanent
+              ? `Session ${sessionName} deleted permanently`
+              : `Session ${sessionName} moved to the trash`,
+            permanent: permanent,
+            trashId: removedId,
+            unlinkedSessions: unlinkedSessions,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error(`Failed to delete session ${sessionName}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to delete session",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: rename_session
+// ============================================
+defineTool(
+  "rename_session",
+  {
+    title: "Rename Session",
+    description: "Rename an existing session to a new name.",
+    inputSchema: {
+      oldSessionName: z.string().describe("Current session name (format: category:name:subcategory)"),
+      newSessionName: z.string().describe("New session name (format: category:name:subcategory)")
+    }
+  },
+  async ({ oldSessionName, newSessionName }) => {
+    try {
+      validateSessionName(oldSessionName);
+      validateSessionName(newSessionName);
+      
+      if (oldSessionName === newSessionName) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "A session cannot be renamed to its own name", sessionName: oldSessionName }) }] };
+      }
+      
+      // Hold both names, and every session linked to the old one, so no other
+      // process writes either side mid-rename
+      return await withLinkedSessionLocks(oldSessionName, [newSessionName], async (thoughts) => {
+        if (thoughts.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                error: "Session not found",
+                message: `Session ${oldSessionName} does not exist or is empty`
+              }, null, 2)
+            }]
+          };
+        }
+        
+        // Renaming onto a session would lose it and strand its backlinks
+        if (await storage.stat(newSessionName)) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Session already exists", sessionName: newSessionName }) }] };
+        }
+        
+        // Move to the new name
+        await storage.rename(oldSessionName, newSessionName, thoughts);
+        const metadata = searchIndex.sessions[oldSessionName]?.metadata || await loadSessionMetadata(newSessionName, thoughts);
+        removeSessionFromIndex(oldSessionName);
+        const stats = await storage.stat(newSessionName);
+        indexSession(newSessionName, thoughts, stats.lastModified, metadata);
+        const relinkedSessions = await renameSessionLinks(oldSessionName, newSessionName, thoughts);
+        if ((await loadPinnedSessions()).has(oldSessionName)) {
+          await updatePinnedSessions(pins => {
+            pins.delete(oldSessionName);
+            pins.add(newSessionName);
+          });
+        }
+        notifySessionUpdated(oldSessionName);
+        notifyResourceListChanged();
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Session renamed from ${oldSessionName} to ${newSessionName}`,
+              oldName: oldSessionName,
+              newName: newSessionName,
+              thoughtCount: thoughts.length,
+              relinkedSessions: relinkedSessions,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to rename session:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to rename session",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: search_in_session
+// ============================================
+defineTool(
+  "search_in_session",
+  {
+    title: "Search in Session",
+    description: "Search for thoughts within a specific session by keyword.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name to search in (format: category:name:subcategory)"),
+      query: z.string().describe("Search query: words, \"exact phrases\", AND/OR/NOT, prefix*, tag:, mode:, before:, after:"),
+      limit: z.number().min(1).max(50).optional().default(10).describe("Maximum number of results to return"),
+      offset: z.number().min(0).optional().default(0).describe("Pagination offset"),
+      include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts")
+    }
+  },
+  async ({ sessionName, query, limit = 10, offset = 0, include_retracted = false }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      await syncSearchIndex({ throttle: true });
+      const indexEntry = searchIndex.sessions[sessionName];
+      
+      if (!indexEntry || indexEntry.thoughtCount === 0) {
+        return { 
+          content: [{ 
+            type: "text", 
+            text: JSON.stringify({ 
+              error: "Session not found or empty",
+              sessionName: sessionName 
+            }, null, 2) 
+          }] 
+        };
+      }
+      
+      const { results, highlightTerms, sessionCache } = await executeSearchQuery(query, { sessionName, includeRetracted: include_retracted });
+      const page = results.slice(offset, offset + limit);
+      
+      // Only load the session file when the index reports matches
+      const thoughts = page.length > 0 ? (sessionCache.get(sessionName) || await loadSession(sessionName)) : [];
+      
+      const searchResults = page
+        .map(match => ({ match, t: thoughts.find(thought => thought.id === match.thoughtId) }))
+        .filter(({ t }) => t)
+        .map(({ match, t }) => ({
+          id: t.id,
+          content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
+          snippet: buildSnippet(t.content, highlightTerms),
+          mode: t.mode,
+          tags: t.tags,
+          timestamp: t.timestamp,
+          relates_to: t.relates_to,
+          relationship_type: t.relationship_type,
+          retracted: Boolean(t.retracted),
+          relevance_score: match.score
+        }));
+      
+      const response = {
+        sessionName: sessionName,
+        query: query,
+        results: searchResults,
+        count: searchResults.length,
+        totalMatching: results.length,
+        offset,
+        limit,
+        timestamp: new Date().toISOString()
+      };
+      
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2) 
+        }] 
+      };
+    } catch (error) {
+      console.error('Failed to search in session:', error);
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({ 
+            error: "Failed to search in session", 
+            message: error.message 
+          }, null, 2) 
+        }] 
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: search_all_sessions
+// ============================================
+defineTool(
+  "search_all_sessions",
+  {
+    title: "Search All Sessions",
+    description: "Search for sessions containing thoughts matching a keyword. Returns session indicators, not full content.",
+    inputSchema: {
+      query: z.string().describe("Search query across all sessions: words, \"exact phrases\", AND/OR/NOT, prefix*, tag:, mode:, before:, after:"),
+      limit: z.number().min(1).max(50).optional().default(20).describe("Maximum number of sessions to return"),
+      offset: z.number().min(0).optional().default(0).describe("Pagination offset"),
+      include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts"),
+      include_archived: z.boolean().optional().default(true).describe("Include archived sessions (marked archived, with the archiveId to pass to restore_session)")
+    }
+  },
+  async ({ query, limit = 20, offset = 0, include_retracted = false, include_archived = true }) => {
+    try {
+      const { results, highlightTerms, sessionCache } = await executeSearchQuery(query, {
+        includeRetracted: include_retracted,
+        includeArchived: include_archived
+      });
+      
+      // Aggregate matches per session straight from the index (results arrive best first)
+      const sessionMatches = new Map();
+      for (const match of results) {
+        const existing = sessionMatches.get(match.indexKey);
+        if (existing) {
+          existing.matchingThoughts++;
+          existing.relevanceScore += match.score;
+          continue;
+        }
+        const archiveEntry = match.archiveId ? searchIndex.archives[match.archiveId] : null;
+        const indexEntry = archiveEntry || searchIndex.sessions[match.sessionName];
+        sessionMatches.set(match.indexKey, {
+          sessionName: match.sessionName,
+          ...(archiveEntry && { archived: true, archiveId: match.archiveId }),
+          matchingThoughts: 1,
+          totalThoughts: indexEntry.thoughtCount,
+          lastModified: archiveEntry ? archiveEntry.removedAt : indexEntry.lastModified,
+          relevanceScore: match.score,
+          topMatch: match
+        });
+      }
+      
+      // Sort by summed BM25 score, then by number of matching thoughts
+      const matchingSessions = [...sessionMatches.values()]
+        .map(entry => ({ ...entry, relevanceScore: Math.round(entry.relevanceScore * 1000) / 1000 }))
+        .sort((a, b) => b.relevanceScore - a.relevanceScore || b.matchingThoughts - a.matchingThoughts);
+      
+      // Load only the returned sessions to build a snippet of their best match
+      const paginatedResults = [];
+      for (const { topMatch, ...entry } of matchingSessions.slice(offset, offset + limit)) {
+        if (!sessionCache.has(topMatch.indexKey)) {
+          sessionCache.set(topMatch.indexKey, topMatch.archiveId
+            ? (await readRemovedSession('archive', topMatch.archiveId)).thoughts
+            : await loadSession(entry.sessionName));
+        }
+        const thought = sessionCache.get(topMatch.indexKey).find(t => t.id === topMatch.thoughtId);
+        paginatedResults.push({
+          ...entry,
+          topMatch: thought ? {
+            thoughtId: thought.id,
+            snippet: buildSnippet(thought.content, highlightTerms),
+            relevanceScore: topMatch.score
+          } : null
+        });
+      }
+      
+      const response = {
+        query: query,
+        sessions: paginatedResults,
+        count: paginatedResults.length,
+        totalMatching: matchingSessions.length,
+        offset,
+        limit,
+        timestamp: new Date().toISOString()
+      };
+      
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2) 
+        }] 
+      };
+    } catch (error) {
+      console.error('Failed to search all sessions:', error);
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({ 
+            error: "Failed to search all sessions", 
+            message: error.message 
+          }, null, 2) 
+        }] 
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: get_session_info
+// ============================================
+defineTool(
+  "get_session_info",
+  {
+    title: "Get Session Info",
+    description: "Get metadata about a specific session (title, description, status, owner, custom fields, creation time) and a summary of its thoughts, including the aggregate belief propagated from their confidence scores along supports and contradicts links.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name (format: category:name:subcategory)")
+    }
+  },
+  async ({ sessionName }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const thoughts = await loadSession(sessionName);
+      const stats = await storage.stat(sessionName);
+      const lineage = await forkLineage(thoughts);
+      const { created, ...metadata } = stats ? await loadSessionMetadata(sessionName, thoughts) : { created: null };
+      
+      const response = {
+        sessionName: sessionName,
+        exists: thoughts.length > 0 || stats !== null,
+        ...metadata,
+        thoughtCount: thoughts.length,
+        firstThought: thoughts[0]?.timestamp || null,
+        lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
+        created: created,
+        lastModified: stats?.lastModified?.toISOString() || null,
+        modes: [...new Set(thoughts.map(t => t.mode))],
+        tags: [...new Set(thoughts.flatMap(t => t.tags || []))],
+        belief: summarizeBeliefs(thoughts),
+        // Fork lineage: ancestors (nearest first), forks of this session and merges into it
+        forkedFrom: lineage[0] || null,
+        lineage: lineage,
+        branches: await findBranches(sessionName, thoughts),
+        merges: thoughts.filter(t => t.merge).map(t => ({
+          branch: t.merge.branch,
+          thoughtCount: t.merge.thoughtIds.length,
+          mergedAt: t.merge.merged_at
+        })),
+        timestamp: new Date().toISOString()
+      };
+      
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2) 
+        }] 
+      };
+    } catch (error) {
+      console.error('Failed to get session info:', error);
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({ 
+            error: "Failed to get session info", 
+            message: error.message 
+          }, null, 2) 
+        }] 
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: update_session_metadata
+// ============================================
+defineTool(
+  "update_session_metadata",
+  {
+    title: "Update Session Metadata",
+    description: "Set a session's title, description, status (active, paused or concluded), owner or custom key/value fields. Omitted values are left alone; null clears one.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name (format: category:name:subcategory)"),
+      title: z.string().nullable().optional().describe("Short human-readable title"),
+      description: z.string().nullable().optional().describe("What the session is about"),
+      status: z.enum(SESSION_STATUSES).optional().describe("Whether the session is active, paused or concluded"),
+      owner: z.string().nullable().optional().describe("Who the session belongs to"),
+      fields: z.record(z.string(), z.union([z.string(), z.number(), z.boolean(), z.null()])).optional()
+        .describe("Custom fields to set; a null value removes the field"),
+      replaceFields: z.boolean().optional().default(false).describe("Replace all custom fields instead of merging into them")
+    }
+  },
+  async ({ sessionName, title, description, status, owner, fields, replaceFields = false }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      return await withSessionLock(sessionName, async () => {
+        if (!(await storage.stat(sessionName))) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Session not found", sessionName }) }] };
+        }
+        
+        const metadata = await loadSessionMetadata(sessionName);
+        const changed = [];
+        for (const [key, value] of Object.entries({ title, description, status, owner })) {
+          if (value !== undefined && value !== metadata[key]) {
+            metadata[key] = value;
+            changed.push(key);
+          }
+        }
+        if (fields !== undefined) {
+          const merged = replaceFields ? {} : { ...metadata.fields };
+          for (const [key, value] of Object.entries(fields)) {
+            if (value === null) delete merged[key];
+            else merged[key] = value;
+          }
+          if (JSON.stringify(merged) !== JSON.stringify(metadata.fields)) {
+            metadata.fields = merged;
+            changed.push("fields");
+          }
+        }
+        
+        if (changed.length > 0) {
+          metadata.updated = new Date().toISOString();
+          await saveSessionMetadata(sessionName, metadata);
+          notifySessionUpdated(sessionName);
+        }
         
         return {
           content: [{
             type: "text",
-            text: JSON.stringify(responseJson, null, 2)
+            text: JSON.stringify({
+              status: "success",
+              sessionName: sessionName,
+              changed: changed,
+              metadata: metadata,
+              timestamp: new Date().toISOString()
+            }, null, 2)
           }]
         };
       });
     } catch (error) {
+      console.error(`Failed to update metadata of session ${sessionName}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to update session metadata",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: list_templates
+// ============================================
+defineTool(
+  "list_templates",
+  {
+    title: "List Templates",
+    description: "List the session templates in the templates directory, with the name patterns they apply to, their required tags and sections. Template files that fail to parse are reported under errors.",
+    inputSchema: {}
+  },
+  async () => {
+    try {
+      const { templates, errors } = await loadTemplates();
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            templates: templates,
+            count: templates.length,
+            errors: errors,
+            directory: TEMPLATES_DIR,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error('Failed to list templates:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to list templates",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: validate_session
+// ============================================
+defineTool(
+  "validate_session",
+  {
+    title: "Validate Session",
+    description: "Check a session against its template: which required sections are still missing, and which thoughts lack the template's required tags. A section is covered by a thought tagged with the section's tag or linked to its prompt.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name to validate (format: category:name:subcategory)"),
+      template: z.string().optional().describe("Validate against this template instead of the session's own")
+    }
+  },
+  async ({ sessionName, template }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const thoughts = await loadSession(sessionName);
+      if (thoughts.length === 0) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Session not found or empty", sessionName }) }] };
+      }
+      
+      const { templates } = await loadTemplates();
+      const sessionTemplate = template
+        ? templates.find(t => t.name === template)
+        : findSessionTemplate(sessionName, thoughts, templates);
+      if (!sessionTemplate) {
+        const seeded = thoughts.find(t => t.template)?.template.name;
+        return { content: [{ type: "text", text: JSON.stringify(template || seeded
+          ? { error: "Template not found", template: template || seeded }
+          : { error: "No template applies to this session", sessionName }) }] };
+      }
+      
+      const result = checkTemplate(sessionTemplate, thoughts);
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            sessionName: sessionName,
+            template: sessionTemplate.name,
+            ...result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error(`Failed to validate session ${sessionName}:`, error);
       return {
         content: [{
           type: "text",
-          text: JSON.stringify({ error: error.message }, null, 2)
+          text: JSON.stringify({
+            error: "Failed to validate session",
+            message: error.message
+          }, null, 2)
         }]
       };
     }
@@ -404,69 +5639,116 @@ The sessionName is used to store and retrieve your thoughts. Use consistent nami
 );
 
 // ============================================
-// Tool: list_sessions
+// Tool: cleanup_sessions
 // ============================================
-server.registerTool(
-  "list_sessions",
+defineTool(
+  "cleanup_sessions",
   {
-    title: "List Sessions",
-    description: "List all available thinking sessions with metadata.",
+    title: "Cleanup Old Sessions",
+    description: "Delete (to the trash) or archive sessions according to the retention rules in the config file (by name pattern and tags: maximum age, maximum thoughts), or delete every session older than maxAgeDays. Pinned and protected sessions are skipped. Trash entries past the trash retention period are emptied. Use dryRun to preview.",
     inputSchema: {
-      limit: z.number().min(1).max(100).optional().default(50).describe("Maximum number of sessions to return"),
-      offset: z.number().min(0).optional().default(0).describe("Pagination offset")
+      maxAgeDays: z.number().min(1).optional().describe(`Delete sessions not modified for this many days, instead of applying the configured rules (default without rules: ${DEFAULT_RETENTION_DAYS})`),
+      dryRun: z.boolean().optional().default(false).describe("Report what would be deleted or archived without changing anything")
     }
   },
-  async ({ limit = 50, offset = 0 }) => {
+  async ({ maxAgeDays, dryRun = false }) => {
     try {
-      const files = await listSessionFiles();
-      
-      const sessionInfo = await Promise.all(
-        files.slice(offset, offset + limit).map(async file => {
-          const sessionName = desanitizeFilename(file);
-          const filePath = path.join(SESSION_DIR, file);
-          const stats = await fs.stat(filePath);
-          
-          try {
-            const thoughts = await loadSession(sessionName);
-            return {
-              sessionName,
-              thoughtCount: thoughts.length,
-              firstThought: thoughts[0]?.timestamp || null,
-              lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
-              lastModified: stats.mtime.toISOString()
-            };
-          } catch (e) {
-            return {
-              sessionName,
-              error: "Could not read session data",
-              lastModified: stats.mtime.toISOString()
-            };
-          }
-        })
-      );
+      const { actions, skipped } = await planRetention({ maxAgeDays });
+      const applied = dryRun ? { failed: [], skipped: [] } : await applyRetention(actions);
+      const { failed } = applied;
+      skipped.push(...applied.skipped);
+      const notDone = new Set([...failed, ...applied.skipped].map(f => f.sessionName));
+      const done = actions.filter(a => !notDone.has(a.sessionName));
+      const deletedCount = done.filter(a => a.action === 'delete').length;
+      const archivedCount = done.filter(a => a.action === 'archive').length;
+      const { trash } = await loadConfig();
+      const expired = await purgeTrash({ olderThanDays: trash.retentionDays, dryRun });
       
-      const responseJson = {
-        sessions: sessionInfo,
-        count: sessionInfo.length,
-        total: files.length,
-        limit,
-        offset,
-        timestamp: new Date().toISOString()
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: "success",
+            dryRun: dryRun,
+            deletedCount: dryRun ? 0 : deletedCount,
+            archivedCount: dryRun ? 0 : archivedCount,
+            maxAgeDays: maxAgeDays ?? null,
+            actions: actions,
+            skipped: skipped,
+            failed: failed,
+            purgedFromTrash: expired,
+            message: dryRun
+              ? `Would delete ${deletedCount} and archive ${archivedCount} session(s)`
+              : `Deleted ${deletedCount} and archived ${archivedCount} session(s)`,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
       };
+    } catch (error) {
+      console.error('Failed to clean up sessions:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to clean up sessions",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: pin_session
+// ============================================
+defineTool(
+  "pin_session",
+  {
+    title: "Pin Session",
+    description: "Pin a session so cleanup never deletes or archives it and delete_session and archive_session refuse to remove it, or unpin it again.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name (format: category:name:subcategory)"),
+      pinned: z.boolean().optional().default(true).describe("false to unpin")
+    }
+  },
+  async ({ sessionName, pinned = true }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      // Under the session's lock, so retention can't remove it halfway
+      const changed = await withSessionLock(sessionName, async () => {
+        if (pinned && !(await storage.stat(sessionName))) return null;
+        return updatePinnedSessions(pins => {
+          const had = pins.has(sessionName);
+          if (pinned) pins.add(sessionName);
+          else pins.delete(sessionName);
+          return had !== pinned;
+        });
+      });
+      if (changed === null) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Session not found", sessionName }) }] };
+      }
       
       return {
         content: [{
           type: "text",
-          text: JSON.stringify(responseJson, null, 2)
+          text: JSON.stringify({
+            status: "success",
+            sessionName: sessionName,
+            pinned: pinned,
+            changed: changed,
+            timestamp: new Date().toISOString()
+          }, null, 2)
         }]
       };
     } catch (error) {
-      console.error('Failed to list sessions:', error);
+      console.error(`Failed to pin session ${sessionName}:`, error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            error: "Failed to list sessions",
+            error: "Failed to pin session",
             message: error.message
           }, null, 2)
         }]
@@ -476,53 +5758,160 @@ server.registerTool(
 );
 
 // ============================================
-// Tool: view_session
+// Tool: archive_session
 // ============================================
-server.registerTool(
-  "view_session",
+defineTool(
+  "archive_session",
   {
-    title: "View Session",
-    description: "View the contents of a thinking session. Returns the last N thoughts by default.",
+    title: "Archive Session",
+    description: "Move a cold session to the compressed archive. Archived sessions stay searchable with search_all_sessions and can be brought back with restore_session.",
     inputSchema: {
-      sessionName: z.string().describe("Session name to view (format: category:name:subcategory)"),
-      limit: z.number().min(1).max(200).optional().describe("Maximum number of thoughts to return (default: SESSION_MAX_RETURN env or 50)"),
-      offset: z.number().min(0).optional().default(0).describe("Pagination offset")
+      sessionName: z.string().describe("Session name to archive (format: category:name:subcategory)")
     }
   },
-  async ({ sessionName, limit, offset = 0 }) => {
+  async ({ sessionName }) => {
     try {
       validateSessionName(sessionName);
       
-      const thoughts = await loadSession(sessionName);
-      const maxReturn = limit || SESSION_MAX_RETURN;
+      if ((await loadPinnedSessions()).has(sessionName)) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Session is pinned; unpin it with pin_session first", sessionName }) }] };
+      }
       
-      // Return paginated thoughts (most recent first by default)
-      const paginatedThoughts = thoughts.slice(offset, offset + maxReturn);
+      const { unlinkedSessions, removedId } = await removeSession(sessionName, 'archive');
+      notifyResourceListChanged();
       
-      const responseJson = {
-        sessionName: sessionName,
-        thoughts: paginatedThoughts,
-        count: paginatedThoughts.length,
-        totalThoughts: thoughts.length,
-        limit: maxReturn,
-        offset,
-        hasMore: offset + maxReturn < thoughts.length,
-        timestamp: new Date().toISOString()
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: "success",
+            message: `Session ${sessionName} archived`,
+            archiveId: removedId,
+            unlinkedSessions: unlinkedSessions,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error(`Failed to archive session ${sessionName}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to archive session",
+            message: error.message
+          }, null, 2)
+        }]
       };
+    }
+  }
+);
+
+// ============================================
+// Tool: restore_session
+// ============================================
+defineTool(
+  "restore_session",
+  {
+    title: "Restore Session",
+    description: "Bring a session back from the trash or the archive, by ID (from list_sessions with location) or by name, which restores its most recently removed copy. Its links to sessions that still exist are restored too.",
+    inputSchema: {
+      sessionName: z.string().optional().describe("Name the session had when it was removed"),
+      id: z.string().optional().describe("Trash or archive ID, as listed by list_sessions"),
+      from: z.enum(["trash", "archive"]).optional().default("trash").describe("Where to restore from"),
+      newSessionName: z.string().optional().describe("Restore under this name instead, e.g. when the original name has been reused")
+    }
+  },
+  async ({ sessionName, id, from = "trash", newSessionName }) => {
+    try {
+      if (!sessionName && !id) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Provide sessionName or id" }) }] };
+      }
+      
+      let removedId = id;
+      if (!removedId) {
+        validateSessionName(sessionName);
+        const entry = (await listRemovedSessions(from)).find(e => e.sessionName === sessionName);
+        if (!entry) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: `Session not found in ${from}`, sessionName }) }] };
+        }
+        removedId = entry.id;
+      } else if (!(await listRemovedSessionFiles(from)).includes(removedId)) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: `Not found in ${from}`, id: removedId }) }] };
+      }
+      
+      const result = await restoreRemovedSession(from, removedId, newSessionName);
       
       return {
         content: [{
           type: "text",
-          text: JSON.stringify(responseJson, null, 2)
+          text: JSON.stringify({
+            status: "success",
+            message: `Session ${result.sessionName} restored from ${from}`,
+            from: from,
+            id: removedId,
+            ...result,
+            timestamp: new Date().toISOString()
+          }, null, 2)
         }]
       };
     } catch (error) {
-      console.error(`Failed to view session ${sessionName}:`, error);
+      console.error(`Failed to restore session ${sessionName || id}:`, error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            error: "Failed to view session",
+            error: "Failed to restore session",
+            message: error.message
+          }, null, 2)
+        }]
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: empty_trash
+// ============================================
+defineTool(
+  "empty_trash",
+  {
+    title: "Empty Trash",
+    description: "Permanently delete sessions from the trash: all of them, those removed more than olderThanDays ago, or the copies of one session. Use dryRun to preview.",
+    inputSchema: {
+      olderThanDays: z.number().min(0).optional().describe("Only delete entries removed more than this many days ago"),
+      sessionName: z.string().optional().describe("Only delete copies of this session"),
+      dryRun: z.boolean().optional().default(false).describe("Report what would be deleted without changing anything")
+    }
+  },
+  async ({ olderThanDays, sessionName, dryRun = false }) => {
+    try {
+      if (sessionName) validateSessionName(sessionName);
+      
+      const purged = await purgeTrash({ olderThanDays, sessionName, dryRun });
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: "success",
+            dryRun: dryRun,
+            purged: purged,
+            count: purged.length,
+            message: dryRun
+              ? `Would permanently delete ${purged.length} session(s) from the trash`
+              : `Permanently deleted ${purged.length} session(s) from the trash`,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
+      };
+    } catch (error) {
+      console.error('Failed to empty trash:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to empty trash",
             message: error.message
           }, null, 2)
         }]
@@ -532,42 +5921,152 @@ server.registerTool(
 );
 
 // ============================================
-// Tool: delete_session
+// Tool: find_thought_relationships
+// ============================================
+defineTool(
+  "find_thought_relationships",
+  {
+    title: "Find Thought Relationships",
+    description: "Search for thoughts that could be related to current reasoning within a session.",
+    inputSchema: {
+      sessionName: z.string().describe("Session name to search in (format: category:name:subcategory)"),
+      query: z.string().describe("Search query to find related thoughts (same syntax as search_in_session)"),
+      relationship_types: z.array(z.enum(RELATIONSHIP_TYPES)).optional().describe("Filter by specific relationship types"),
+      exclude_thought_id: z.string().optional().describe("Exclude a specific thought ID from results"),
+      limit: z.number().min(1).max(20).default(10).describe("Maximum number of results to return"),
+      include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts")
+    }
+  },
+  async ({ sessionName, query, relationship_types, exclude_thought_id, limit = 10, include_retracted = false }) => {
+    try {
+      validateSessionName(sessionName);
+      
+      const thoughts = await loadSession(sessionName);
+      
+      if (thoughts.length === 0) {
+        return { 
+          content: [{ 
+            type: "text", 
+            text: JSON.stringify({ 
+              error: "Session not found or empty",
+              sessionName: sessionName 
+            }, null, 2) 
+          }] 
+        };
+      }
+      
+      const { results, highlightTerms } = await executeSearchQuery(query, { sessionName, includeRetracted: include_retracted });
+      const thoughtsById = new Map(thoughts.map(t => [t.id, t]));
+      
+      const searchResults = results
+        .map(match => ({ match, t: thoughtsById.get(match.thoughtId) }))
+        .filter(({ t }) => {
+          if (!t) return false;
+          if (exclude_thought_id && t.id === exclude_thought_id) return false;
+          
+          if (relationship_types && relationship_types.length > 0) {
+            if (!t.relationship_type || !relationship_types.includes(t.relationship_type)) return false;
+          }
+          
+          return true;
+        })
+        .slice(0, limit)
+        .map(({ match, t }) => ({
+          id: t.id,
+          content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
+          snippet: buildSnippet(t.content, highlightTerms),
+          mode: t.mode,
+          tags: t.tags,
+          timestamp: t.timestamp,
+          relates_to: t.relates_to,
+          relationship_type: t.relationship_type,
+          retracted: Boolean(t.retracted),
+          relevance_score: match.score
+        }));
+      
+      const response = {
+        sessionName: sessionName,
+        query: query,
+        results: searchResults,
+        count: searchResults.length,
+        timestamp: new Date().toISOString()
+      };
+      
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify(response, null, 2) 
+        }] 
+      };
+    } catch (error) {
+      console.error('Failed to find thought relationships:', error);
+      return { 
+        content: [{ 
+          type: "text", 
+          text: JSON.stringify({ 
+            error: "Failed to find relationships", 
+            message: error.message 
+          }, null, 2) 
+        }] 
+      };
+    }
+  }
+);
+
+// ============================================
+// Tool: export_session
 // ============================================
-server.registerTool(
-  "delete_session",
+defineTool(
+  "export_session",
   {
-    title: "Delete Session",
-    description: "Delete a thinking session permanently.",
+    title: "Export Session",
+    description: "Render a session as Markdown, standalone HTML or JSON-LD, including modes, tags, timestamps and the links between thoughts, to share outside MCP.",
     inputSchema: {
-      sessionName: z.string().describe("Session name to delete (format: category:name:subcategory)")
+      sessionName: z.string().describe("Session name (format: category:name:subcategory)"),
+      format: z.enum(EXPORT_FORMATS).default("markdown").describe("Output format"),
+      layout: z.enum(EXPORT_LAYOUTS).default("chronological").describe("Markdown/HTML only: chronological order, or threaded under the thought each one relates to"),
+      include_retracted: z.boolean().default(false).describe("Include retracted thoughts (marked as retracted)")
     }
   },
-  async ({ sessionName }) => {
+  async ({ sessionName, format, layout, include_retracted }) => {
     try {
       validateSessionName(sessionName);
       
-      const sanitized = sanitizeSessionName(sessionName);
-      const sessionPath = path.join(SESSION_DIR, `${sanitized}.json`);
-      await fs.unlink(sessionPath);
+      const thoughts = filterRetracted(await loadSession(sessionName), include_retracted);
+      if (thoughts.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "Session not found or empty",
+              sessionName: sessionName
+            }, null, 2)
+          }]
+        };
+      }
+      
+      const document = renderSessionExport(sessionName, thoughts, { format, layout });
       
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            status: "success",
-            message: `Session ${sessionName} deleted successfully`,
+            sessionName: sessionName,
+            format: format,
+            layout: format === 'jsonld' ? null : layout,
+            thoughtCount: thoughts.length,
+            document: document,
             timestamp: new Date().toISOString()
           }, null, 2)
         }]
       };
     } catch (error) {
-      console.error(`Failed to delete session ${sessionName}:`, error);
+      console.error('Failed to export session:', error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            error: "Failed to delete session",
+            error: "Failed to export session",
             message: error.message
           }, null, 2)
         }]
@@ -577,66 +6076,44 @@ server.registerTool(
 );
 
 // ============================================
-// Tool: rename_session
+// Tool: import_session
 // ============================================
-server.registerTool(
-  "rename_session",
+defineTool(
+  "import_session",
   {
-    title: "Rename Session",
-    description: "Rename an existing session to a new name.",
+    title: "Import Session",
+    description: "Import reasoning as a new session from a JSON bundle (such as an export_session JSON-LD document), a Markdown document with one heading per thought, or legacy ~/.minimal-think-sessions files. Thought IDs are remapped and links between thoughts are kept; existing sessions are never overwritten.",
     inputSchema: {
-      oldSessionName: z.string().describe("Current session name (format: category:name:subcategory)"),
-      newSessionName: z.string().describe("New session name (format: category:name:subcategory)")
+      content: z.string().optional().describe("Document to import"),
+      format: z.enum(IMPORT_FORMATS).default("auto").describe("Source format; 'legacy' without content imports ~/.minimal-think-sessions"),
+      sessionName: z.string().optional().describe("Name for the imported session (defaults to the name recorded in the import, or the file name)")
     }
   },
-  async ({ oldSessionName, newSessionName }) => {
+  // Clients only pass documents; reading files from a path is left to the
+  // `import` command, so a client can't read arbitrary files on the server
+  async ({ content, format, sessionName }) => {
     try {
-      validateSessionName(oldSessionName);
-      validateSessionName(newSessionName);
-      
-      // Load old session
-      const thoughts = await loadSession(oldSessionName);
-      
-      if (thoughts.length === 0) {
-        return {
-          content: [{
-            type: "text",
-            text: JSON.stringify({
-              error: "Session not found",
-              message: `Session ${oldSessionName} does not exist or is empty`
-            }, null, 2)
-          }]
-        };
-      }
-      
-      // Save to new name
-      await saveSession(newSessionName, thoughts);
-      
-      // Delete old session
-      const oldSanitized = sanitizeSessionName(oldSessionName);
-      const oldPath = path.join(SESSION_DIR, `${oldSanitized}.json`);
-      await fs.unlink(oldPath);
+      const { imported, skipped } = await importSessions({ content, format, sessionName });
       
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            status: "success",
-            message: `Session renamed from ${oldSessionName} to ${newSessionName}`,
-            oldName: oldSessionName,
-            newName: newSessionName,
-            thoughtCount: thoughts.length,
+            status: skipped.length === 0 ? "success" : "partial",
+            imported: imported,
+            skipped: skipped,
+            message: `Imported ${imported.length} session${imported.length === 1 ? '' : 's'}${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`,
             timestamp: new Date().toISOString()
           }, null, 2)
         }]
       };
     } catch (error) {
-      console.error(`Failed to rename session:`, error);
+      console.error('Failed to import session:', error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            error: "Failed to rename session",
+            error: "Failed to import session",
             message: error.message
           }, null, 2)
         }]
@@ -646,282 +6123,467 @@ server.registerTool(
 );
 
 // ============================================
-// Tool: search_in_session
+// Tool: get_thought_graph
 // ============================================
-server.registerTool(
-  "search_in_session",
+defineTool(
+  "get_thought_graph",
   {
-    title: "Search in Session",
-    description: "Search for thoughts within a specific session by keyword.",
+    title: "Get Thought Graph",
+    description: "Map how an argument is structured: walk every relationship type in both directions from a thought (or across a whole session), report cycles and unlinked thoughts, and return the graph as JSON, Mermaid or Graphviz DOT.",
     inputSchema: {
-      sessionName: z.string().describe("Session name to search in (format: category:name:subcategory)"),
-      query: z.string().describe("Search query (searches content, tags, and modes)"),
-      limit: z.number().min(1).max(50).optional().default(10).describe("Maximum number of results to return"),
-      offset: z.number().min(0).optional().default(0).describe("Pagination offset")
+      sessionName: z.string().describe("Session name (format: category:name:subcategory)"),
+      thoughtId: z.string().optional().describe("Thought to start from; omit to graph the whole session"),
+      depth: z.number().min(1).max(50).default(3).describe("How many links to follow from thoughtId"),
+      direction: z.enum(["both", "outgoing", "incoming"]).default("both").describe("Follow links the thought makes (outgoing), links made to it (incoming), or both"),
+      relationship_types: z.array(z.enum(RELATIONSHIP_TYPES)).optional().describe("Only include these relationship types"),
+      format: z.enum(GRAPH_FORMATS).default("json").describe("Return the graph as JSON nodes and edges, a Mermaid flowchart or a Graphviz DOT digraph"),
+      include_retracted: z.boolean().default(false).describe("Include retracted thoughts")
     }
   },
-  async ({ sessionName, query, limit = 10, offset = 0 }) => {
+  async ({ sessionName, thoughtId, depth, direction, relationship_types, format, include_retracted }) => {
     try {
       validateSessionName(sessionName);
       
-      const thoughts = await loadSession(sessionName);
-      
-      if (thoughts.length === 0) {
-        return { 
-          content: [{ 
-            type: "text", 
-            text: JSON.stringify({ 
+      const allThoughts = await loadSession(sessionName);
+      if (allThoughts.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
               error: "Session not found or empty",
-              sessionName: sessionName 
-            }, null, 2) 
-          }] 
+              sessionName: sessionName
+            }, null, 2)
+          }]
         };
       }
       
-      const queryLower = query.toLowerCase();
-      const searchResults = thoughts
-        .filter(t => {
-          const contentMatch = t.content.toLowerCase().includes(queryLower);
-          const tagMatch = t.tags && t.tags.some(tag => tag.toLowerCase().includes(queryLower));
-          const modeMatch = t.mode && t.mode.toLowerCase().includes(queryLower);
-          return contentMatch || tagMatch || modeMatch;
-        })
-        .map(t => ({
-          id: t.id,
-          content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
-          mode: t.mode,
-          tags: t.tags,
-          timestamp: t.timestamp,
-          relates_to: t.relates_to,
-          relationship_type: t.relationship_type,
-          relevance_score: calculateRelevanceScore(t, queryLower)
-        }))
-        .sort((a, b) => b.relevance_score - a.relevance_score)
-        .slice(offset, offset + limit);
+      const thoughts = filterRetracted(allThoughts, include_retracted);
+      if (thoughtId && !thoughts.some(t => t.id === thoughtId)) {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              error: "Thought not found",
+              message: allThoughts.some(t => t.id === thoughtId)
+                ? `Thought ${thoughtId} is retracted; pass include_retracted to graph it`
+                : `Thought ${thoughtId} not found in session ${sessionName}`
+            }, null, 2)
+          }]
+        };
+      }
+      
+      const graph = buildThoughtGraph(thoughts, { thoughtId, depth, direction, relationshipTypes: relationship_types });
+      const numbers = new Map(allThoughts.map((t, i) => [t.id, i + 1]));
+      const edgeTypes = {};
+      graph.edges.forEach(edge => { edgeTypes[edge.type] = (edgeTypes[edge.type] || 0) + 1; });
       
       const response = {
         sessionName: sessionName,
-        query: query,
-        results: searchResults,
-        count: searchResults.length,
-        offset,
-        limit,
-        timestamp: new Date().toISOString()
+        root: thoughtId || null,
+        depth: thoughtId ? depth : null,
+        direction: thoughtId ? direction : null,
+        nodeCount: graph.nodes.length,
+        edgeCount: graph.edges.length,
+        edgeTypes: edgeTypes,
+        cycles: graph.cycles,
+        orphans: graph.orphans,
+        externalLinks: graph.externalLinks,
+        format: format
       };
       
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(response, null, 2) 
-        }] 
+      if (format === 'mermaid') {
+        response.graph = renderGraphMermaid(graph.nodes, graph.edges, numbers);
+      } else if (format === 'dot') {
+        response.graph = renderGraphDot(sessionName, graph.nodes, graph.edges, numbers);
+      } else {
+        response.nodes = graph.nodes.map(t => ({
+          id: t.id,
+          number: numbers.get(t.id),
+          content_preview: t.content.substring(0, 120) + (t.content.length > 120 ? "..." : ""),
+          mode: t.mode,
+          tags: t.tags || [],
+          timestamp: t.timestamp,
+          retracted: Boolean(t.retracted),
+          distance: graph.distances ? graph.distances.get(t.id) : undefined
+        }));
+        response.edges = graph.edges;
+      }
+      response.timestamp = new Date().toISOString();
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify(response, null, 2)
+        }]
       };
     } catch (error) {
-      console.error('Failed to search in session:', error);
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({ 
-            error: "Failed to search in session", 
-            message: error.message 
-          }, null, 2) 
-        }] 
+      console.error('Failed to build thought graph:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to build thought graph",
+            message: error.message
+          }, null, 2)
+        }]
       };
     }
   }
 );
 
 // ============================================
-// Tool: search_all_sessions
+// Tool: list_open_issues
 // ============================================
-server.registerTool(
-  "search_all_sessions",
+defineTool(
+  "list_open_issues",
   {
-    title: "Search All Sessions",
-    description: "Search for sessions containing thoughts matching a keyword. Returns session indicators, not full content.",
+    title: "List Open Issues",
+    description: "List unresolved contradictions (thoughts that contradict another with no later synthesizes/refines thought and no explicit resolution) and open questions, in one session or across all sessions. Close them with resolve_issue.",
     inputSchema: {
-      query: z.string().describe("Search query (searches content, tags, and modes across all sessions)"),
-      limit: z.number().min(1).max(50).optional().default(20).describe("Maximum number of sessions to return"),
+      sessionName: z.string().optional().describe("Session to check (omit to check all sessions)"),
+      type: z.enum(["all", "contradictions", "questions"]).default("all").describe("Which kind of issue to list"),
+      limit: z.number().min(1).max(100).optional().default(50).describe("Maximum number of issues to return"),
       offset: z.number().min(0).optional().default(0).describe("Pagination offset")
     }
   },
-  async ({ query, limit = 20, offset = 0 }) => {
+  async ({ sessionName, type, limit = 50, offset = 0 }) => {
     try {
-      const files = await listSessionFiles();
-      
-      const queryLower = query.toLowerCase();
-      const matchingSessions = [];
-      
-      for (const file of files) {
-        const sessionName = desanitizeFilename(file);
-        const thoughts = await loadSession(sessionName);
-        
-        // Count matching thoughts
-        const matchingThoughts = thoughts.filter(t => {
-          const contentMatch = t.content.toLowerCase().includes(queryLower);
-          const tagMatch = t.tags && t.tags.some(tag => tag.toLowerCase().includes(queryLower));
-          const modeMatch = t.mode && t.mode.toLowerCase().includes(queryLower);
-          return contentMatch || tagMatch || modeMatch;
-        });
-        
-        if (matchingThoughts.length > 0) {
-          const filePath = path.join(SESSION_DIR, file);
-          const stats = await fs.stat(filePath);
-          
-          matchingSessions.push({
-            sessionName: sessionName,
-            matchingThoughts: matchingThoughts.length,
-            totalThoughts: thoughts.length,
-            lastModified: stats.mtime.toISOString(),
-            relevanceScore: matchingThoughts.length
-          });
-        }
+      let sessionNames;
+      let sessionsChecked = 1;
+      if (sessionName) {
+        validateSessionName(sessionName);
+        sessionNames = [sessionName];
+      } else {
+        // Only sessions the search index counts open issues of the type in are loaded
+        await syncSearchIndex({ throttle: true });
+        const entries = Object.entries(searchIndex.sessions);
+        sessionsChecked = entries.length;
+        sessionNames = entries
+          .filter(([, { openIssues }]) =>
+            (type !== 'questions' && openIssues.contradictions > 0) || (type !== 'contradictions' && openIssues.questions > 0))
+          .map(([name]) => name)
+          .sort();
       }
       
-      // Sort by relevance (number of matching thoughts)
-      matchingSessions.sort((a, b) => b.relevanceScore - a.relevanceScore);
-      
-      const paginatedResults = matchingSessions.slice(offset, offset + limit);
+      const issues = [];
+      for (const name of sessionNames) {
+        issues.push(...findOpenIssues(name, await loadSession(name), type));
+      }
       
-      const response = {
-        query: query,
-        sessions: paginatedResults,
-        count: paginatedResults.length,
-        totalMatching: matchingSessions.length,
-        offset,
-        limit,
-        timestamp: new Date().toISOString()
-      };
+      const paginatedIssues = issues.slice(offset, offset + limit);
       
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(response, null, 2) 
-        }] 
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            issues: paginatedIssues,
+            count: paginatedIssues.length,
+            total: issues.length,
+            contradictions: issues.filter(issue => issue.type === 'contradiction').length,
+            questions: issues.filter(issue => issue.type === 'question').length,
+            sessionsChecked: sessionsChecked,
+            limit: limit,
+            offset: offset,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
       };
     } catch (error) {
-      console.error('Failed to search all sessions:', error);
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({ 
-            error: "Failed to search all sessions", 
-            message: error.message 
-          }, null, 2) 
-        }] 
+      console.error('Failed to list open issues:', error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to list open issues",
+            message: error.message
+          }, null, 2)
+        }]
       };
     }
   }
 );
 
 // ============================================
-// Tool: get_session_info
+// Tool: resolve_issue
 // ============================================
-server.registerTool(
-  "get_session_info",
+defineTool(
+  "resolve_issue",
   {
-    title: "Get Session Info",
-    description: "Get metadata about a specific session without loading all thoughts.",
+    title: "Resolve Issue",
+    description: "Close an open question or contradiction by naming the thought that resolves it. The resolving thought is linked to the issue if it isn't already. Record the resolution first with think (e.g. relationship_type 'synthesizes').",
     inputSchema: {
-      sessionName: z.string().describe("Session name (format: category:name:subcategory)")
+      sessionName: z.string().describe("Session containing the issue (format: category:name:subcategory)"),
+      thoughtId: z.string().describe("The question, or the thought that contradicts another"),
+      resolved_by: z.string().describe("ID of the resolving thought, or session#thoughtId for one in another session"),
+      relationship_type: z.enum(["synthesizes", "refines"]).default("synthesizes").describe("Link type used if the resolving thought isn't linked to the issue yet"),
+      note: z.string().optional().describe("How the issue was resolved")
     }
   },
-  async ({ sessionName }) => {
+  async ({ sessionName, thoughtId, resolved_by, relationship_type, note }) => {
     try {
       validateSessionName(sessionName);
+      const reference = parseThoughtReference(resolved_by, sessionName);
       
-      const thoughts = await loadSession(sessionName);
-      const sanitized = sanitizeSessionName(sessionName);
-      const sessionPath = path.join(SESSION_DIR, `${sanitized}.json`);
-      
-      let stats;
-      try {
-        stats = await fs.stat(sessionPath);
-      } catch (e) {
-        stats = null;
-      }
-      
-      const response = {
-        sessionName: sessionName,
-        exists: thoughts.length > 0 || stats !== null,
-        thoughtCount: thoughts.length,
-        firstThought: thoughts[0]?.timestamp || null,
-        lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
-        created: stats?.birthtime?.toISOString() || null,
-        lastModified: stats?.mtime?.toISOString() || null,
-        modes: [...new Set(thoughts.map(t => t.mode))],
-        tags: [...new Set(thoughts.flatMap(t => t.tags || []))],
-        timestamp: new Date().toISOString()
-      };
-      
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(response, null, 2) 
-        }] 
-      };
-    } catch (error) {
-      console.error('Failed to get session info:', error);
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({ 
-            error: "Failed to get session info", 
-            message: error.message 
-          }, null, 2) 
-        }] 
+      return await withSessionLocks([sessionName, reference.sessionName].filter(Boolean), async () => {
+        const thoughts = await loadSession(sessionName);
+        const issue = thoughts.find(t => t.id === thoughtId);
+        
+        if (!issue) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        if (issue.retracted) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot resolve a retracted thought", thought_id: thoughtId }) }] };
+        }
+        
+        if (issue.status === 'resolved') {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Issue is already resolved", thought_id: thoughtId, resolution: issue.resolution }) }] };
+        }
+        
+        const issueType = issue.status === 'question' ? "question" : "contradiction";
+        if (issueType === 'contradiction' && !issue.relationships_out.some(rel => rel.relationship_type === 'contradicts')) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought is not a question or a contradiction", thought_id: thoughtId }) }] };
+        }
+        
+        const resolverThoughts = reference.sessionName ? await loadSession(reference.sessionName) : thoughts;
+        const resolver = resolverThoughts.find(t => t.id === reference.thoughtId);
+        
+        if (!resolver) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Resolving thought not found", thought_id: resolved_by }) }] };
+        }
+        
+        if (resolver === issue) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "A thought cannot resolve itself" }) }] };
+        }
+        
+        if (resolver.retracted) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot resolve with a retracted thought", thought_id: resolved_by }) }] };
+        }
+        
+        if (new Date(resolver.timestamp) < new Date(issue.timestamp)) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Resolving thought must come after the issue", thought_id: resolved_by }) }] };
+        }
+        
+        const now = new Date().toISOString();
+        const changedThoughts = [issue];
+        
+        // Link the resolving thought to the issue unless it already is
+        const existingLink = resolver.relationships_out.find(rel =>
+          rel.thought_id === issue.id && (rel.session || null) === (reference.sessionName ? sessionName : null));
+        const linkType = existingLink ? existingLink.relationship_type : relationship_type;
+        if (!existingLink) {
+          recordRevision(resolver, "link", `Resolves ${issueType} ${thoughtId}`);
+          const link = { thought_id: issue.id, relationship_type };
+          const backlink = { thought_id: resolver.id, relationship_type };
+          if (reference.sessionName) {
+            link.session = sessionName;
+            backlink.session = reference.sessionName;
+          }
+          resolver.relationships_out.push(link);
+          issue.relationships_in.push(backlink);
+          if (!resolver.relates_to) {
+            resolver.relates_to = formatThoughtReference(link.session, issue.id);
+            resolver.relationship_type = relationship_type;
+          }
+          resolver.updated_at = now;
+          if (!reference.sessionName) changedThoughts.push(resolver);
+        }
+        
+        recordRevision(issue, "resolve", note);
+        issue.status = "resolved";
+        issue.resolution = {
+          type: issueType,
+          resolved_by: formatThoughtReference(reference.sessionName, resolver.id),
+          relationship_type: linkType,
+          note: note || null,
+          resolved_at: now
+        };
+        issue.updated_at = now;
+        
+        await saveSession(sessionName, thoughts, changedThoughts);
+        if (reference.sessionName && !existingLink) {
+          await saveSession(reference.sessionName, resolverThoughts, [resolver]);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              sessionName: sessionName,
+              thoughtId: thoughtId,
+              resolution: issue.resolution,
+              linked: !existingLink,
+              remainingIssues: findOpenIssues(sessionName, thoughts).length,
+              timestamp: now
+            }, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to resolve issue ${thoughtId}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to resolve issue",
+            message: error.message
+          }, null, 2)
+        }]
       };
     }
   }
 );
 
 // ============================================
-// Tool: cleanup_sessions
+// Tool: summarize_session
 // ============================================
-server.registerTool(
-  "cleanup_sessions",
+defineTool(
+  "summarize_session",
   {
-    title: "Cleanup Old Sessions",
-    description: "Manually clean up old thinking sessions based on age.",
+    title: "Summarize Session",
+    description: "Build an extractive digest of a session (no LLM): the most central, on-theme and recent thoughts, one per mode at least, quoted by their lead sentence, with mode and tag counts and open issues. By default the digest is stored as a checkpoint thought; think with include_context then returns it together with the thoughts recorded since.",
     inputSchema: {
-      maxAgeDays: z.number().min(1).default(90).describe("Maximum age in days before sessions are deleted")
+      sessionName: z.string().describe("Session to summarize (format: category:name:subcategory)"),
+      scope: z.enum(CHECKPOINT_SCOPES).default("all").describe("Summarize the whole session, or only the thoughts since the last checkpoint"),
+      maxThoughts: z.number().min(1).max(50).optional().default(8).describe("Maximum number of thoughts quoted in the digest"),
+      store: z.boolean().optional().default(true).describe("Save the digest as a checkpoint thought")
     }
   },
-  async ({ maxAgeDays }) => {
+  async ({ sessionName, scope, maxThoughts = 8, store = true }) => {
     try {
-      const files = await listSessionFiles();
-      const now = new Date();
-      let deletedCount = 0;
+      validateSessionName(sessionName);
       
-      for (const file of files) {
-        const filePath = path.join(SESSION_DIR, file);
-        const stats = await fs.stat(filePath);
-        const fileAge = (now - stats.mtime) / (1000 * 60 * 60 * 24);
+      return await withSessionLock(sessionName, async () => {
+        const thoughts = await loadSession(sessionName);
+        if (thoughts.length === 0) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Session not found or empty", sessionName }) }] };
+        }
         
-        if (fileAge > maxAgeDays) {
-          await fs.unlink(filePath);
-          deletedCount++;
+        const digest = buildSessionDigest(sessionName, thoughts, { scope, maxThoughts });
+        if (!digest) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "No thoughts to summarize", sessionName, scope }) }] };
         }
-      }
-      
+        
+        let checkpointId = null;
+        if (store) {
+          const checkpointThought = createCheckpointThought(digest);
+          thoughts.push(checkpointThought);
+          await saveSession(sessionName, thoughts, [checkpointThought]);
+          checkpointId = checkpointThought.id;
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              sessionName: sessionName,
+              checkpointId: checkpointId,
+              stored: store,
+              digest: digest,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      });
+    } catch (error) {
+      console.error(`Failed to summarize session ${sessionName}:`, error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            status: "success",
-            deletedCount: deletedCount,
-            maxAgeDays: maxAgeDays,
-            message: `Deleted ${deletedCount} sessions older than ${maxAgeDays} days`,
-            timestamp: new Date().toISOString()
+            error: "Failed to summarize session",
+            message: error.message
           }, null, 2)
         }]
       };
+    }
+  }
+);
+
+// ============================================
+// Tool: fork_session
+// ============================================
+defineTool(
+  "fork_session",
+  {
+    title: "Fork Session",
+    description: "Copy a session up to a chosen thought into a new session, to explore an alternative line of reasoning without touching the original. The fork records where it came from; bring its new thoughts back with merge_session.",
+    inputSchema: {
+      sessionName: z.string().describe("Session to fork (format: category:name:subcategory)"),
+      newSessionName: z.string().describe("Name of the new session (format: category:name:subcategory)"),
+      thoughtId: z.string().optional().describe("Last thought to copy (defaults to the latest thought)")
+    }
+  },
+  async ({ sessionName, newSessionName, thoughtId }) => {
+    try {
+      validateSessionName(sessionName);
+      validateSessionName(newSessionName);
+      
+      if (sessionName === newSessionName) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "A session cannot be forked into itself" }) }] };
+      }
+      
+      return await withLinkedSessionLocks(sessionName, [newSessionName], async (thoughts) => {
+        if (thoughts.length === 0) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Session not found or empty", sessionName }) }] };
+        }
+        
+        if ((await loadSession(newSessionName)).length > 0 || await storage.stat(newSessionName)) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Session already exists", sessionName: newSessionName }) }] };
+        }
+        
+        const upTo = thoughtId ? thoughts.findIndex(t => t.id === thoughtId) : thoughts.length - 1;
+        if (upTo === -1) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Thought not found", thought_id: thoughtId }) }] };
+        }
+        
+        const forkPoint = thoughts[upTo];
+        if (forkPoint.retracted) {
+          return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot fork at a retracted thought", thought_id: forkPoint.id }) }] };
+        }
+        
+        const copies = copyForkThoughts(thoughts, upTo);
+        const now = new Date().toISOString();
+        const marker = createMarkerThought(
+          `Forked from ${sessionName} at thought ${forkPoint.id} (${copies.length} thoughts).`,
+          FORK_TAG,
+          { fork: { parent: sessionName, thoughtId: forkPoint.id, thoughtCount: copies.length, forked_at: now } }
+        );
+        marker.relationships_out.push({ thought_id: forkPoint.id, relationship_type: "builds_on", session: sessionName });
+        marker.relates_to = formatThoughtReference(sessionName, forkPoint.id);
+        marker.relationship_type = "builds_on";
+        forkPoint.relationships_in.push({ thought_id: marker.id, relationship_type: "builds_on", session: newSessionName });
+        
+        await saveSession(newSessionName, [...copies, marker]);
+        await saveSession(sessionName, thoughts, [forkPoint]);
+        const linkedSessions = await addExternalBacklinks(newSessionName, copies);
+        notifyResourceListChanged();
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Session ${sessionName} forked into ${newSessionName}`,
+              sessionName: newSessionName,
+              parent: sessionName,
+              forkedAt: forkPoint.id,
+              thoughtCount: copies.length,
+              markerId: marker.id,
+              linkedSessions: linkedSessions,
+              timestamp: now
+            }, null, 2)
+          }]
+        };
+      });
     } catch (error) {
-      console.error('Failed to clean up sessions:', error);
+      console.error(`Failed to fork session ${sessionName}:`, error);
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
-            error: "Failed to clean up sessions",
+            error: "Failed to fork session",
             message: error.message
           }, null, 2)
         }]
@@ -931,91 +6593,131 @@ server.registerTool(
 );
 
 // ============================================
-// Tool: find_thought_relationships
+// Tool: merge_session
 // ============================================
-server.registerTool(
-  "find_thought_relationships",
+defineTool(
+  "merge_session",
   {
-    title: "Find Thought Relationships",
-    description: "Search for thoughts that could be related to current reasoning within a session.",
+    title: "Merge Session",
+    description: "Bring the thoughts a forked session added back into the session it was forked from. Thoughts the parent already has (matched by ID) are skipped, and links between the two sessions become links within the parent.",
     inputSchema: {
-      sessionName: z.string().describe("Session name to search in (format: category:name:subcategory)"),
-      query: z.string().describe("Search query to find related thoughts"),
-      relationship_types: z.array(z.enum(["builds_on", "supports", "contradicts", "refines", "synthesizes"])).optional().describe("Filter by specific relationship types"),
-      exclude_thought_id: z.string().optional().describe("Exclude a specific thought ID from results"),
-      limit: z.number().min(1).max(20).default(10).describe("Maximum number of results to return")
+      sessionName: z.string().describe("Forked session to merge (format: category:name:subcategory)"),
+      deleteBranch: z.boolean().optional().default(false).describe("Delete the forked session after merging")
     }
   },
-  async ({ sessionName, query, relationship_types, exclude_thought_id, limit = 10 }) => {
+  async ({ sessionName, deleteBranch = false }) => {
     try {
       validateSessionName(sessionName);
       
-      const thoughts = await loadSession(sessionName);
-      
-      if (thoughts.length === 0) {
-        return { 
-          content: [{ 
-            type: "text", 
-            text: JSON.stringify({ 
-              error: "Session not found or empty",
-              sessionName: sessionName 
-            }, null, 2) 
-          }] 
-        };
+      const initialMarker = findForkMarker(await loadSession(sessionName));
+      if (!initialMarker) {
+        return { content: [{ type: "text", text: JSON.stringify({ error: "Session was not forked from another session", sessionName }) }] };
       }
+      const parentName = initialMarker.fork.parent;
       
-      const queryLower = query.toLowerCase();
-      const searchResults = thoughts
-        .filter(t => {
-          if (exclude_thought_id && t.id === exclude_thought_id) return false;
-          
-          if (relationship_types && relationship_types.length > 0) {
-            if (!t.relationship_type || !relationship_types.includes(t.relationship_type)) return false;
+      const mergeBranch = async (branchThoughts) => {
+        const parentThoughts = await loadSession(parentName);
+        if (parentThoughts.length === 0) {
+          return { error: "Parent session not found", parent: parentName };
+        }
+        
+        const merged = copyMergedThoughts(sessionName, branchThoughts, parentName, parentThoughts);
+        if (merged.length === 0) {
+          return { mergedCount: 0, thoughtIds: [], markerId: null, linkedSessions: [] };
+        }
+        
+        const parentById = new Map(parentThoughts.map(t => [t.id, t]));
+        const mergedById = new Map(merged.map(t => [t.id, t]));
+        const changed = new Set();
+        const branchChanged = new Set();
+        
+        // Backlinks for merged thoughts that build on the parent's own
+        for (const thought of merged) {
+          for (const rel of thought.relationships_out) {
+            const target = !rel.session && parentById.get(rel.thought_id);
+            if (!target) continue;
+            target.relationships_in.push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+            changed.add(target);
           }
-          
-          const contentMatch = t.content.toLowerCase().includes(queryLower);
-          const tagMatch = t.tags && t.tags.some(tag => tag.toLowerCase().includes(queryLower));
-          const modeMatch = t.mode && t.mode.toLowerCase().includes(queryLower);
-          
-          return contentMatch || tagMatch || modeMatch;
-        })
-        .map(t => ({
-          id: t.id,
-          content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
-          mode: t.mode,
-          tags: t.tags,
-          timestamp: t.timestamp,
-          relates_to: t.relates_to,
-          relationship_type: t.relationship_type,
-          relevance_score: calculateRelevanceScore(t, queryLower)
-        }))
-        .sort((a, b) => b.relevance_score - a.relevance_score)
-        .slice(0, limit);
-      
-      const response = {
-        sessionName: sessionName,
-        query: query,
-        results: searchResults,
-        count: searchResults.length,
-        timestamp: new Date().toISOString()
+        }
+        
+        // Parent links into the branch now point within the parent
+        for (const thought of parentThoughts) {
+          for (const rel of thought.relationships_out) {
+            if (rel.session !== sessionName || !mergedById.has(rel.thought_id)) continue;
+            delete rel.session;
+            mergedById.get(rel.thought_id).relationships_in.push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+            const branchTarget = branchThoughts.find(t => t.id === rel.thought_id);
+            branchTarget.relationships_in = branchTarget.relationships_in.filter(r => !(r.session === parentName && r.thought_id === thought.id));
+            branchChanged.add(branchTarget);
+            if (thought.relates_to === formatThoughtReference(sessionName, rel.thought_id)) {
+              thought.relates_to = rel.thought_id;
+            }
+            changed.add(thought);
+          }
+        }
+        
+        const now = new Date().toISOString();
+        const marker = createMarkerThought(
+          `Merged ${merged.length} thought${merged.length === 1 ? '' : 's'} from ${sessionName}.`,
+          MERGE_TAG,
+          { merge: { branch: sessionName, thoughtIds: merged.map(t => t.id), merged_at: now } }
+        );
+        
+        parentThoughts.push(...merged, marker);
+        await saveSession(parentName, parentThoughts, [...changed, ...merged, marker]);
+        if (branchChanged.size > 0) {
+          await saveSession(sessionName, branchThoughts, [...branchChanged]);
+        }
+        const linkedSessions = await addExternalBacklinks(parentName, merged);
+        
+        return { mergedCount: merged.length, thoughtIds: merged.map(t => t.id), markerId: marker.id, linkedSessions };
       };
       
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify(response, null, 2) 
-        }] 
+      const result = await withLinkedSessionLocks(sessionName, [parentName], async (branchThoughts) => {
+        const merge = await mergeBranch(branchThoughts);
+        // Deleted under the same locks, so nothing written to the branch after
+        // the merge is lost with it
+        if (deleteBranch && !merge.error) {
+          await removeLockedSession(sessionName, branchThoughts, 'trash');
+        }
+        return merge;
+      });
+      
+      if (result.error) {
+        return { content: [{ type: "text", text: JSON.stringify(result) }] };
+      }
+      
+      const branchDeleted = deleteBranch;
+      if (branchDeleted) {
+        await unpinSession(sessionName);
+        notifyResourceListChanged();
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: "success",
+            message: `Merged ${result.mergedCount} thought(s) from ${sessionName} into ${parentName}`,
+            sessionName: sessionName,
+            parent: parentName,
+            ...result,
+            branchDeleted: branchDeleted,
+            timestamp: new Date().toISOString()
+          }, null, 2)
+        }]
       };
     } catch (error) {
-      console.error('Failed to find thought relationships:', error);
-      return { 
-        content: [{ 
-          type: "text", 
-          text: JSON.stringify({ 
-            error: "Failed to find relationships", 
-            message: error.message 
-          }, null, 2) 
-        }] 
+      console.error(`Failed to merge session ${sessionName}:`, error);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: "Failed to merge session",
+            message: error.message
+          }, null, 2)
+        }]
       };
     }
   }
@@ -1032,16 +6734,300 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// ============================================
+// Transports
+// ============================================
+
+// Read and parse a JSON request body
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const body = Buffer.concat(chunks).toString('utf8');
+  return body ? JSON.parse(body) : undefined;
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+// Host headers the transports accept, against DNS rebinding: the listening
+// address (with localhost aliases for loopback), or SESSION_HTTP_ALLOWED_HOSTS
+function httpAllowedHosts() {
+  if (SESSION_HTTP_ALLOWED_HOSTS) {
+    return SESSION_HTTP_ALLOWED_HOSTS.split(',').map(host => host.trim()).filter(Boolean);
+  }
+  const hosts = [SESSION_HTTP_HOST.includes(':') ? `[${SESSION_HTTP_HOST}]` : SESSION_HTTP_HOST];
+  if (['127.0.0.1', '::1', 'localhost'].includes(SESSION_HTTP_HOST)) {
+    hosts.push('localhost', '127.0.0.1', '[::1]');
+  }
+  return [...new Set(hosts)].map(host => `${host}:${SESSION_HTTP_PORT}`);
+}
+
+// Options shared by both transports
+const HTTP_TRANSPORT_OPTIONS = {
+  enableDnsRebindingProtection: true,
+  allowedHosts: httpAllowedHosts()
+};
+
+// With SESSION_HTTP_TOKEN set, requests need an `Authorization: Bearer` header
+function isAuthorizedRequest(req) {
+  if (!SESSION_HTTP_TOKEN) return true;
+  const expected = Buffer.from(`Bearer ${SESSION_HTTP_TOKEN}`);
+  const provided = Buffer.from(req.headers.authorization || '');
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+// Open client sessions across both HTTP transports, keyed by MCP session ID
+const httpSessions = new Map();
+
+// Streamable HTTP transport on /mcp: a POST with an initialize request opens
+// a new client session; later requests carry its Mcp-Session-Id header
+async function handleStreamableHttpRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  const existing = sessionId ? httpSessions.get(sessionId) : null;
+  
+  if (existing) {
+    if (!(existing.transport instanceof StreamableHTTPServerTransport)) {
+      sendJsonRpcError(res, 400, 'Session belongs to the SSE transport');
+      return;
+    }
+    await existing.transport.handleRequest(req, res);
+    return;
+  }
+  
+  if (req.method !== 'POST') {
+    sendJsonRpcError(res, 400, 'No valid session ID provided');
+    return;
+  }
+  
+  const body = await readJsonBody(req);
+  if (sessionId || !isInitializeRequest(body)) {
+    sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'No valid session ID provided');
+    return;
+  }
+  
+  const server = createServer();
+  const transport = new StreamableHTTPServerTransport({
+    ...HTTP_TRANSPORT_OPTIONS,
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      httpSessions.set(id, { transport, server });
+    }
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) httpSessions.delete(transport.sessionId);
+  };
+  
+  await server.connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+// Legacy HTTP+SSE transport: GET /sse opens the event stream, and the client
+// posts its messages to /messages?sessionId=...
+async function handleSseConnect(req, res) {
+  const transport = new SSEServerTransport('/messages', res, HTTP_TRANSPORT_OPTIONS);
+  const server = createServer();
+  httpSessions.set(transport.sessionId, { transport, server });
+  res.on('close', () => {
+    httpSessions.delete(transport.sessionId);
+  });
+  await server.connect(transport);
+}
+
+async function handleSseMessage(req, res, url) {
+  const existing = httpSessions.get(url.searchParams.get('sessionId'));
+  if (!existing || !(existing.transport instanceof SSEServerTransport)) {
+    sendJsonRpcError(res, 404, 'Session not found');
+    return;
+  }
+  await existing.transport.handlePostMessage(req, res);
+}
+
+// Start the shared HTTP server; resolves once it is listening
+async function startHttpServer() {
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+      if (url.pathname !== '/health' && !isAuthorizedRequest(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJsonRpcError(res, 401, 'Unauthorized');
+        return;
+      }
+      
+      if (url.pathname === '/mcp') {
+        await handleStreamableHttpRequest(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(req, res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else if (url.pathname === '/health' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: "ok", sessions: httpSessions.size }));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: "Not found" }));
+      }
+    } catch (error) {
+      console.error(`HTTP request failed (${req.method} ${url.pathname}):`, error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? 'Invalid JSON body' : 'Internal server error');
+      }
+    }
+  });
+  
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(SESSION_HTTP_PORT, SESSION_HTTP_HOST, resolve);
+  });
+  
+  return httpServer;
+}
+
+// Stop accepting connections, close client sessions and flush state to disk
+async function shutdown(signal, httpServer) {
+  console.error(`Received ${signal}, shutting down`);
+  
+  // Don't let a stuck client hold the process open
+  setTimeout(() => process.exit(1), 5000).unref();
+  
+  try {
+    if (httpServer) {
+      httpServer.close();
+      for (const { transport } of httpSessions.values()) {
+        await transport.close().catch(() => {});
+      }
+      httpServer.closeAllConnections?.();
+    }
+    await flushSearchIndex();
+    await storage.close();
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+// ============================================
+// Command-line interface
+// ============================================
+//
+// Subcommands run against the session directory and exit instead of serving:
+//
+//   session-think-mcp export <sessionName> [--format markdown|html|jsonld]
+//     [--layout chronological|threaded] [--include-retracted] [--output <file>]
+//   session-think-mcp import [<file|directory>] [--format auto|bundle|markdown|legacy]
+//     [--session-name <name>]
+
+const cliCommand = cliArgs[0] && !cliArgs[0].startsWith('-') ? cliArgs[0] : null;
+
+async function runExportCommand(args) {
+  const sessionName = args[0];
+  if (!sessionName || sessionName.startsWith('-')) {
+    throw new Error('Usage: session-think-mcp export <sessionName> [--format markdown|html|jsonld] [--layout chronological|threaded] [--include-retracted] [--output <file>]');
+  }
+  validateSessionName(sessionName);
+  
+  const thoughts = filterRetracted(await loadSession(sessionName), args.includes('--include-retracted'));
+  if (thoughts.length === 0) {
+    throw new Error(`Session ${sessionName} does not exist or is empty`);
+  }
+  
+  const document = renderSessionExport(sessionName, thoughts, {
+    format: getCliOption('format'),
+    layout: getCliOption('layout')
+  });
+  
+  const output = getCliOption('output');
+  if (output) {
+    await fs.writeFile(output, document, 'utf8');
+    console.error(`Exported ${thoughts.length} thoughts from ${sessionName} to ${output}`);
+  } else {
+    process.stdout.write(document.endsWith('\n') ? document : `${document}\n`);
+  }
+}
+
+async function runImportCommand(args) {
+  const source = args[0] && !args[0].startsWith('-') ? args[0] : undefined;
+  const { imported, skipped } = await importSessions({
+    path: source,
+    format: getCliOption('format') || (source ? 'auto' : 'legacy'),
+    sessionName: getCliOption('session-name')
+  });
+  
+  for (const { sessionName, thoughtCount, source: file } of imported) {
+    console.error(`Imported ${thoughtCount} thoughts into ${sessionName}${file ? ` from ${file}` : ''}`);
+  }
+  for (const { source: file, sessionName, thought, error } of skipped) {
+    console.error(`Skipped ${thought ? `thought ${thought} of ${sessionName}` : file}: ${error}`);
+  }
+  if (skipped.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+const CLI_COMMANDS = {
+  export: runExportCommand,
+  import: runImportCommand
+};
+
+async function runCliCommand(command, args) {
+  const handler = CLI_COMMANDS[command];
+  if (!handler) {
+    throw new Error(`Unknown command '${command}'. Expected one of: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+  }
+  
+  // Commands never convert session files to another format
+  try {
+    await initSessionDir();
+    await loadSearchIndex();
+    await handler(args);
+    await flushSearchIndex();
+  } finally {
+    await storage?.close();
+  }
+}
+
 // Initialize and start server
 async function main() {
+  if (cliCommand) {
+    try {
+      await runCliCommand(cliCommand, cliArgs.slice(1));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+  
   try {
-    await initSessionDir();
+    // Session files are only converted to another format when one is chosen
+    // explicitly, so the default never rewrites an existing directory
+    await initSessionDir({ migrate: Boolean(process.env.SESSION_STORAGE_FORMAT) });
+    await loadSearchIndex();
+    
+    let httpServer = null;
+    if (SESSION_TRANSPORT === 'http') {
+      httpServer = await startHttpServer();
+    } else if (SESSION_TRANSPORT === 'stdio') {
+      const transport = new StdioServerTransport();
+      await createServer().connect(transport);
+    } else {
+      throw new Error(`Invalid transport '${SESSION_TRANSPORT}'. Expected one of: stdio, http`);
+    }
     
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => shutdown(signal, httpServer));
+    }
+    await startRetentionSchedule();
+    await startTrashSchedule();
     
     console.error('Session Think MCP Server started successfully');
-    console.error(`Session storage: ${SESSION_DIR}`);
+    if (httpServer) {
+      console.error(`Listening on http://${SESSION_HTTP_HOST}:${SESSION_HTTP_PORT} (streamable HTTP at /mcp, SSE at /sse)`);
+      console.error(`Accepted Host headers: ${HTTP_TRANSPORT_OPTIONS.allowedHosts.join(', ')}${SESSION_HTTP_TOKEN ? '; bearer token required' : ''}`);
+    }
+    console.error(`Session storage: ${storage.location} (${storage.name} backend)`);
     console.error(`Max return: ${SESSION_MAX_RETURN}`);
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+test('confidence propagates along supports and contradicts links', async () => {
+  const session = 'test:belief:claims';
+  const claim = await server.call('think', { sessionName: session, reasoning: 'Margins expand', confidence: 0.6 });
+  await server.call('think', {
+    sessionName: session, reasoning: 'Costs fall', confidence: 0.8, relates_to: claim.thoughtId, relationship_type: 'supports'
+  });
+  const doubt = await server.call('think', {
+    sessionName: session, reasoning: 'Prices fall too', confidence: 0.4, relates_to: claim.thoughtId, relationship_type: 'contradicts'
+  });
+  await server.call('think', { sessionName: session, reasoning: 'Unscored aside' });
+
+  // 0.6 + 0.4 * (0.8 * 0.5) - 0.6 * (0.4 * 0.5)
+  const next = await server.call('think', { sessionName: session, reasoning: 'So', relates_to: claim.thoughtId, relationship_type: 'builds_on' });
+  assert.deepEqual(next.related_context.belief, { confidence: 0.6, belief: 0.64, supports: 1, contradicts: 1 });
+
+  const { belief } = await server.call('get_session_info', { sessionName: session });
+  assert.equal(belief.scoredThoughts, 3);
+  assert.equal(belief.score, 0.613);
+  assert.deepEqual(belief.weakest.map(entry => entry.belief), [0.4, 0.64, 0.8]);
+
+  await server.call('retract_thought', { sessionName: session, thoughtId: doubt.thoughtId });
+  const after = await server.call('think', { sessionName: session, reasoning: 'Then', relates_to: claim.thoughtId, relationship_type: 'builds_on' });
+  assert.equal(after.related_context.belief.belief, 0.76);
+});
+
+test('evidence entries are stored with their metadata and checked', async () => {
+  const session = 'test:belief:evidence';
+  const source = await server.call('think', { sessionName: session, reasoning: 'Quarterly report' });
+  const result = await server.call('think', {
+    sessionName: session, reasoning: 'Revenue grew', confidence: 0.9,
+    evidence: [
+      { type: 'url', value: 'https://example.com/q3', note: 'Press release', metadata: { page: 2, verified: true } },
+      { type: 'thought', value: source.thoughtId }
+    ]
+  });
+  assert.equal(result.confidence, 0.9);
+  assert.deepEqual(result.evidence.map(entry => [entry.type, entry.value, entry.note, entry.metadata]), [
+    ['url', 'https://example.com/q3', 'Press release', { page: 2, verified: true }],
+    ['thought', source.thoughtId, null, {}]
+  ]);
+  assert.equal((await server.call('get_session_info', { sessionName: session })).belief.evidenceCount, 2);
+
+  const missing = await server.call('think', { sessionName: session, reasoning: 'Unsupported', evidence: [{ type: 'thought', value: 'thought_missing' }] });
+  assert.equal(missing.error, 'Evidence thought not found');
+});
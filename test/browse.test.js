@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+  const sessions = [
+    ['notes:misc:inbox', [{ reasoning: 'Loose end' }]],
+    ['thesis:AMD:ai', [{ reasoning: 'One', tags: ['ai'] }, { reasoning: 'Two', tags: ['ai'] }, { reasoning: 'Three' }, { reasoning: 'Four' }]],
+    ['thesis:NVDA:chips', [{ reasoning: 'Fab capacity', tags: ['supply'] }]],
+    ['thesis:NVDA:ai', [{ reasoning: 'Moat', tags: ['ai', 'moat'] }, { reasoning: 'Pricing', tags: ['ai'] }]]
+  ];
+  for (const [sessionName, thoughts] of sessions) {
+    for (const args of thoughts) await server.call('think', { sessionName, ...args });
+  }
+  const { thoughtId } = await server.call('think', { sessionName: 'thesis:NVDA:ai', reasoning: 'Withdrawn', tags: ['ai'] });
+  await server.call('retract_thought', { sessionName: 'thesis:NVDA:ai', thoughtId });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const childNames = (node) => node.children.map(child => child.segment);
+
+test('the namespace is a tree with counts, activity and tags rolled up', async () => {
+  const { tree, sessionCount } = await server.call('browse_sessions', {});
+  assert.equal(sessionCount, 4);
+  assert.deepEqual(childNames(tree), ['notes', 'thesis']);
+
+  const thesis = tree.children[1];
+  assert.equal(thesis.sessions, 3);
+  assert.equal(thesis.thoughts, 7);
+  assert.deepEqual(thesis.tags, [{ tag: 'ai', count: 4 }, { tag: 'moat', count: 1 }, { tag: 'supply', count: 1 }]);
+  const nvdaAi = thesis.children[1].children[0];
+  assert.equal(nvdaAi.sessionName, 'thesis:NVDA:ai');
+  assert.equal(nvdaAi.thoughts, 2);
+  assert.equal(thesis.lastActivity, nvdaAi.lastActivity);
+});
+
+test('a prefix drills in and siblings sort by name, activity or size', async () => {
+  const browse = async (args) => (await server.call('browse_sessions', { prefix: 'thesis', ...args })).tree;
+  assert.deepEqual(childNames(await browse({})), ['AMD', 'NVDA']);
+  assert.deepEqual(childNames(await browse({ sortBy: 'activity' })), ['NVDA', 'AMD']);
+  assert.deepEqual(childNames(await browse({ sortBy: 'size' })), ['AMD', 'NVDA']);
+
+  const nvda = (await server.call('browse_sessions', { prefix: 'thesis:NVDA', sortBy: 'size' })).tree;
+  assert.equal(nvda.path, 'thesis:NVDA');
+  assert.deepEqual(childNames(nvda), ['ai', 'chips']);
+
+  const shallow = await browse({ depth: 1 });
+  assert.equal(shallow.children[0].childCount, 1);
+  assert.equal(shallow.children[0].children, undefined);
+});
+
+test('glob patterns filter on name segments', async () => {
+  const { tree, sessionCount } = await server.call('browse_sessions', { pattern: '*:NVDA' });
+  assert.equal(sessionCount, 2);
+  assert.deepEqual(childNames(tree), ['thesis']);
+  assert.equal((await server.call('browse_sessions', { pattern: 'thesis:*:a?' })).sessionCount, 2);
+
+  const invalid = await server.call('browse_sessions', { prefix: 'thesis::ai' });
+  assert.equal(invalid.error, 'Invalid prefix: segments must not be empty');
+});
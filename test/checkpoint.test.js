@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir, SESSION_CHECKPOINT_INTERVAL: '5' });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+test('a digest quotes every mode and is stored as a checkpoint thought', async () => {
+  const session = 'test:checkpoint:digest';
+  const hub = await server.call('think', { sessionName: session, reasoning: 'Demand is the driver. More detail here.', tags: ['demand'] });
+  await server.call('think', { sessionName: session, reasoning: 'Orders confirm it', tags: ['demand'], relates_to: hub.thoughtId, relationship_type: 'supports' });
+  await server.call('think', { sessionName: session, reasoning: 'So do surveys', relates_to: hub.thoughtId, relationship_type: 'supports' });
+  const critique = await server.call('think', { sessionName: session, reasoning: 'Unless supply is the limit', mode: 'critical' });
+
+  const { digest, checkpointId } = await server.call('summarize_session', { sessionName: session, maxThoughts: 2 });
+  assert.equal(digest.thoughtCount, 4);
+  assert.deepEqual(digest.modes, { linear: 3, critical: 1 });
+  assert.deepEqual(digest.topTags, [{ tag: 'demand', count: 2 }]);
+  assert.deepEqual(digest.highlights.map(h => [h.id, h.excerpt]), [
+    [hub.thoughtId, 'Demand is the driver.'],
+    [critique.thoughtId, 'Unless supply is the limit']
+  ]);
+
+  const { thoughts } = await server.call('view_session', { sessionName: session });
+  const stored = thoughts.at(-1);
+  assert.equal(stored.id, checkpointId);
+  assert.deepEqual(stored.tags, ['checkpoint']);
+  assert.equal(stored.content, digest.text);
+
+  const nothingNew = await server.call('summarize_session', { sessionName: session, scope: 'since_checkpoint' });
+  assert.equal(nothingNew.error, 'No thoughts to summarize');
+});
+
+test('think returns the latest checkpoint and the thoughts since it', async () => {
+  const session = 'test:checkpoint:context';
+  await server.call('think', { sessionName: session, reasoning: 'Before the checkpoint' });
+  const { checkpointId } = await server.call('summarize_session', { sessionName: session });
+  const after = await server.call('think', { sessionName: session, reasoning: 'After the checkpoint' });
+
+  const { checkpoint_context: context } = await server.call('think', { sessionName: session, reasoning: 'Latest', include_context: true });
+  assert.equal(context.checkpoint.id, checkpointId);
+  assert.match(context.checkpoint.digest, /Before the checkpoint/);
+  assert.deepEqual(context.since.map(t => t.id), [after.thoughtId]);
+});
+
+test('a checkpoint is written once SESSION_CHECKPOINT_INTERVAL thoughts accumulate', async () => {
+  const session = 'test:checkpoint:interval';
+  for (const reasoning of ['One', 'Two', 'Three', 'Four']) {
+    assert.equal((await server.call('think', { sessionName: session, reasoning })).checkpoint, undefined);
+  }
+  const fifth = await server.call('think', { sessionName: session, reasoning: 'Five' });
+  assert.equal(fifth.checkpoint.thoughtCount, 5);
+
+  const { thoughts } = await server.call('view_session', { sessionName: session });
+  assert.equal(thoughts.at(-1).id, fifth.checkpoint.id);
+  assert.equal((await server.call('think', { sessionName: session, reasoning: 'Six' })).checkpoint, undefined);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+const CONFIG = {
+  modes: [{ name: 'adversarial', description: 'Argue the opposing side' }],
+  relationshipTypes: [
+    { name: 'cites' },
+    { name: 'depends_on', chain: true },
+    { name: 'builds_on', chain: false }
+  ]
+};
+
+before(async () => {
+  dir = await createTempDir();
+  await fs.mkdir(path.join(dir, 'config'));
+  await fs.writeFile(path.join(dir, 'config', 'config.json'), JSON.stringify(CONFIG));
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thinkSchema(client) {
+  const { tools } = await client.listTools();
+  return tools.find(tool => tool.name === 'think').inputSchema.properties;
+}
+
+test('configured modes and relationship types extend the tool schemas', async () => {
+  const { mode, relationship_type } = await thinkSchema(server.client);
+  assert.ok(mode.enum.includes('linear') && mode.enum.includes('adversarial'));
+  assert.match(mode.description, /adversarial: Argue the opposing side/);
+  assert.deepEqual(relationship_type.enum.slice(-2), ['cites', 'depends_on']);
+
+  const session = 'test:config:vocabulary';
+  const source = await server.call('think', { sessionName: session, reasoning: 'Statute 12' });
+  await server.call('think', {
+    sessionName: session, reasoning: 'The other side would say', mode: 'adversarial', relates_to: source.thoughtId, relationship_type: 'cites'
+  });
+  const { thoughts } = await server.call('view_session', { sessionName: session, mode: 'adversarial', relationship_type: 'cites' });
+  assert.deepEqual(thoughts.map(t => t.content), ['The other side would say']);
+});
+
+test('the chain flag decides which links return the reasoning chain', async () => {
+  const session = 'test:config:chain';
+  const a = await server.call('think', { sessionName: session, reasoning: 'Premise' });
+  const b = await server.call('think', { sessionName: session, reasoning: 'Step', relates_to: a.thoughtId, relationship_type: 'depends_on' });
+
+  const dependent = await server.call('think', { sessionName: session, reasoning: 'Next', relates_to: b.thoughtId, relationship_type: 'depends_on' });
+  assert.equal(dependent.related_context.type, 'builds_on_enhanced');
+  assert.deepEqual(dependent.reasoning_chain.chain.map(t => t.id), [a.thoughtId, b.thoughtId]);
+
+  const built = await server.call('think', { sessionName: session, reasoning: 'Aside', relates_to: b.thoughtId, relationship_type: 'builds_on' });
+  assert.equal(built.related_context.relationship, 'builds_on');
+  assert.equal(built.reasoning_chain, null);
+});
+
+test('an invalid config file leaves the built-in vocabulary', async () => {
+  const otherDir = await createTempDir();
+  const configPath = path.join(otherDir, 'broken.json');
+  await fs.writeFile(configPath, JSON.stringify({ modes: [{ name: 'Not Valid' }] }));
+  const other = await startServer({ SESSION_DIR: otherDir, SESSION_CONFIG: configPath });
+  try {
+    const { mode, relationship_type } = await thinkSchema(other.client);
+    assert.deepEqual(mode.enum, ['linear', 'creative', 'critical', 'strategic', 'empathetic']);
+    assert.ok(!relationship_type.enum.includes('cites'));
+  } finally {
+    await other.stop();
+    await removeTempDir(otherDir);
+  }
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thoughtsOf(sessionName) {
+  return (await server.call('view_session', { sessionName })).thoughts;
+}
+
+test('a merged branch links back into the parent', async () => {
+  const parent = 'test:fork:parent';
+  const branch = 'test:fork:branch';
+  const root = await server.call('think', { sessionName: parent, reasoning: 'Root idea' });
+
+  const fork = await server.call('fork_session', { sessionName: parent, newSessionName: branch });
+  assert.equal(fork.thoughtCount, 1);
+  const alternative = await server.call('think', {
+    sessionName: branch, reasoning: 'Alternative', links: [{ thought_id: root.thoughtId, relationship_type: 'refines' }]
+  });
+
+  const info = await server.call('get_session_info', { sessionName: parent });
+  assert.deepEqual(info.branches.map(b => b.sessionName), [branch]);
+
+  const merge = await server.call('merge_session', { sessionName: branch });
+  assert.equal(merge.mergedCount, 1);
+  assert.equal(merge.branchDeleted, false);
+
+  const thoughts = await thoughtsOf(parent);
+  const merged = thoughts.find(t => t.id === alternative.thoughtId);
+  assert.deepEqual(merged.relationships_out, [{ thought_id: root.thoughtId, relationship_type: 'refines' }]);
+  // The fork marker in the branch still builds on the fork point
+  assert.deepEqual(thoughts.find(t => t.id === root.thoughtId).relationships_in, [
+    { thought_id: fork.markerId, relationship_type: 'builds_on', session: branch },
+    { thought_id: alternative.thoughtId, relationship_type: 'refines' }
+  ]);
+});
+
+test('deleteBranch moves the merged branch to the trash', async () => {
+  const parent = 'test:fork:keep';
+  const branch = 'test:fork:discard';
+  await server.call('think', { sessionName: parent, reasoning: 'Root idea' });
+  await server.call('fork_session', { sessionName: parent, newSessionName: branch });
+  await server.call('think', { sessionName: branch, reasoning: 'Worth keeping' });
+  await server.call('pin_session', { sessionName: branch });
+
+  const merge = await server.call('merge_session', { sessionName: branch, deleteBranch: true });
+  assert.equal(merge.mergedCount, 1);
+  assert.equal(merge.branchDeleted, true);
+
+  assert.deepEqual(await thoughtsOf(branch), []);
+  const trash = await server.call('list_sessions', { location: 'trash' });
+  assert.ok(trash.sessions.some(entry => entry.sessionName === branch));
+  const pins = JSON.parse(await fs.readFile(path.join(dir, 'config', 'pinned.json'), 'utf8'));
+  assert.deepEqual(pins.sessions, []);
+  assert.deepEqual((await server.call('get_session_info', { sessionName: parent })).branches, []);
+});
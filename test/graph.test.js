@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+// Links made through the tools only point back in time, so a cycle has to be
+// written into a session file directly
+const storedThought = (id, links, fields = {}) => ({
+  id, content: `Thought ${id}`, mode: 'linear', tags: [], timestamp: '2026-01-02T03:04:05.000Z',
+  relates_to: null, relationship_type: null, relationships_in: [],
+  relationships_out: links.map(target => ({ thought_id: target, relationship_type: 'builds_on' })), ...fields
+});
+
+before(async () => {
+  dir = await createTempDir();
+  const cycle = [storedThought('a', ['c']), storedThought('b', ['a']), storedThought('c', ['b']), storedThought('d', [])];
+  for (const thought of cycle) {
+    thought.relationships_in = cycle.filter(other => other.relationships_out.some(rel => rel.thought_id === thought.id))
+      .map(other => ({ thought_id: other.id, relationship_type: 'builds_on' }));
+  }
+  await fs.writeFile(path.join(dir, 'test___graph___cycle.json'), JSON.stringify(cycle));
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const nodeIds = (graph) => graph.nodes.map(node => node.id);
+
+test('cycles and unlinked thoughts are reported for a whole session', async () => {
+  const graph = await server.call('get_thought_graph', { sessionName: 'test:graph:cycle' });
+  assert.equal(graph.nodeCount, 4);
+  assert.equal(graph.edgeCount, 3);
+  assert.deepEqual(graph.cycles, [['a', 'c', 'b']]);
+  assert.deepEqual(graph.orphans, ['d']);
+});
+
+test('walks from a thought follow depth, direction and type filters', async () => {
+  const session = 'test:graph:walk';
+  const x = (await server.call('think', { sessionName: session, reasoning: 'Base' })).thoughtId;
+  const y = (await server.call('think', { sessionName: session, reasoning: 'Support', relates_to: x, relationship_type: 'supports' })).thoughtId;
+  const z = (await server.call('think', { sessionName: session, reasoning: 'Next', relates_to: y, relationship_type: 'builds_on' })).thoughtId;
+  const walk = (args) => server.call('get_thought_graph', { sessionName: session, ...args });
+
+  const near = await walk({ thoughtId: x, depth: 1 });
+  assert.deepEqual(nodeIds(near), [x, y]);
+  assert.deepEqual(near.nodes.map(node => node.distance), [0, 1]);
+  assert.deepEqual(nodeIds(await walk({ thoughtId: z, direction: 'outgoing' })), [x, y, z]);
+  assert.deepEqual(nodeIds(await walk({ thoughtId: z, direction: 'incoming' })), [z]);
+  assert.deepEqual(nodeIds(await walk({ thoughtId: z, relationship_types: ['supports'] })), [z]);
+
+  const missing = await walk({ thoughtId: 'thought_missing' });
+  assert.equal(missing.error, 'Thought not found');
+});
+
+test('graphs render as Mermaid and DOT', async () => {
+  const session = 'test:graph:render';
+  const base = (await server.call('think', { sessionName: session, reasoning: 'Say "hi"' })).thoughtId;
+  const doubt = (await server.call('think', {
+    sessionName: session, reasoning: 'Doubt it', mode: 'critical', relates_to: base, relationship_type: 'contradicts'
+  })).thoughtId;
+
+  const mermaid = (await server.call('get_thought_graph', { sessionName: session, format: 'mermaid' })).graph.split('\n');
+  assert.equal(mermaid[0], 'graph BT');
+  assert.ok(mermaid.includes('  t1["#1 linear: Say #quot;hi#quot;"]'));
+  assert.ok(mermaid.includes('  t2 -->|contradicts| t1'));
+  assert.ok(mermaid.includes('  class t2 critical'));
+
+  const dot = (await server.call('get_thought_graph', { sessionName: session, format: 'dot' })).graph;
+  assert.ok(dot.startsWith(`digraph "${session}" {`));
+  assert.ok(dot.includes(`"${doubt}" -> "${base}" [label="contradicts"];`));
+  assert.ok(dot.includes('[label="#1 linear: Say \\"hi\\""]'));
+});
@@ -0,0 +1,43 @@
+// Shared helpers for the behaviour tests: each test file starts the server
+// over stdio with its own SESSION_DIR and calls tools through the SDK client.
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+export async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'session-think-test-'));
+}
+
+export async function removeTempDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// Start a server with the given environment. `call` parses the tool's JSON
+// response; `stop` closes the client and the server process.
+export async function startServer(env = {}, args = []) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH, ...args],
+    env: { ...process.env, ...env },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'session-think-test', version: '1.0.0' });
+  await client.connect(transport);
+  
+  const call = async (name, toolArgs = {}) => {
+    const result = await client.callTool({ name, arguments: toolArgs });
+    const text = result.content[0].text;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  };
+  
+  return { client, call, stop: () => client.close() };
+}
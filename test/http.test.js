@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createTempDir, removeTempDir, SERVER_PATH } from './helpers.js';
+
+const TOKEN = 'test-token';
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+let dir;
+let child;
+
+before(async () => {
+  dir = await createTempDir();
+  child = spawn(process.execPath, [SERVER_PATH, '--http', '--port', String(PORT)], {
+    env: { ...process.env, SESSION_DIR: dir, SESSION_HTTP_TOKEN: TOKEN },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stderr.on('data', chunk => {
+      output += chunk;
+      if (output.includes('started successfully')) resolve();
+    });
+    child.once('exit', code => reject(new Error(`Server exited with ${code}: ${output}`)));
+  });
+});
+
+after(async () => {
+  child.kill('SIGTERM');
+  await new Promise(resolve => child.once('exit', resolve));
+  await removeTempDir(dir);
+});
+
+// POST an initialize request with the given headers; resolves to the status code
+function postInitialize(headers) {
+  const body = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: PORT,
+      path: '/mcp',
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('requests without the bearer token are refused', async () => {
+  assert.equal(await postInitialize({}), 401);
+  assert.equal(await postInitialize({ Authorization: 'Bearer wrong-token' }), 401);
+});
+
+test('requests for another host name are refused', async () => {
+  assert.equal(await postInitialize({ Authorization: `Bearer ${TOKEN}`, Host: `attacker.example:${PORT}` }), 403);
+});
+
+test('the health check needs no token', async () => {
+  const response = await fetch(`http://127.0.0.1:${PORT}/health`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).status, 'ok');
+});
+
+test('clients with the token can call tools', async () => {
+  const transport = new StreamableHTTPClientTransport(new URL(`http://localhost:${PORT}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+  });
+  const client = new Client({ name: 'session-think-test', version: '1.0.0' });
+  await client.connect(transport);
+  try {
+    const result = await client.callTool({ name: 'think', arguments: { sessionName: 'test:http:a', reasoning: 'Over HTTP' } });
+    assert.equal(JSON.parse(result.content[0].text).thoughtCount, 1);
+  } finally {
+    await client.close();
+  }
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thoughtsOf(sessionName) {
+  return (await server.call('view_session', { sessionName })).thoughts;
+}
+
+const rawThought = (id, fields = {}) => ({
+  id, content: `Thought ${id}`, mode: 'linear', tags: [], timestamp: '2026-01-02T03:04:05.000Z',
+  relationships_out: [], relationships_in: [], ...fields
+});
+
+test('a JSON-LD export imports as a new session with its links', async () => {
+  const a = await server.call('think', { sessionName: 'test:import:source', reasoning: 'Premise', confidence: 0.8 });
+  await server.call('think', {
+    sessionName: 'test:import:source', reasoning: 'Conclusion', mode: 'critical', tags: ['result'],
+    relates_to: a.thoughtId, relationship_type: 'builds_on'
+  });
+  const { document } = await server.call('export_session', { sessionName: 'test:import:source', format: 'jsonld' });
+
+  const result = await server.call('import_session', { content: document, sessionName: 'test:import:copy' });
+  assert.equal(result.status, 'success');
+  const [premise, conclusion] = await thoughtsOf('test:import:copy');
+  assert.equal(premise.confidence, 0.8);
+  assert.equal(conclusion.mode, 'critical');
+  assert.deepEqual(conclusion.tags, ['result']);
+  assert.notEqual(conclusion.id, a.thoughtId);
+  assert.deepEqual(conclusion.relationships_out, [{ thought_id: premise.id, relationship_type: 'builds_on' }]);
+  assert.deepEqual(premise.relationships_in, [{ thought_id: conclusion.id, relationship_type: 'builds_on' }]);
+});
+
+test('imported thoughts that break the think rules are skipped', async () => {
+  const bundle = {
+    sessionName: 'test:import:checked',
+    thoughts: [
+      rawThought('good'),
+      rawThought('overconfident', { confidence: 7 }),
+      rawThought('unknown_status', { status: 'maybe' }),
+      rawThought('unknown_mode', { mode: 'dreamy' }),
+      rawThought('bad_evidence', { evidence: [{ type: 'rumour', value: 'heard it' }] }),
+      rawThought('linked', { relationships_out: [{ thought_id: 'overconfident', relationship_type: 'supports' }, { thought_id: 'good', relationship_type: 'refines' }] })
+    ]
+  };
+
+  const result = await server.call('import_session', { content: JSON.stringify(bundle) });
+  assert.equal(result.status, 'partial');
+  assert.equal(result.imported[0].thoughtCount, 2);
+  assert.deepEqual(result.skipped.map(entry => entry.thought), ['overconfident', 'unknown_status', 'unknown_mode', 'bad_evidence']);
+  assert.ok(result.skipped.every(entry => entry.sessionName === 'test:import:checked' && entry.error));
+
+  const [good, linked] = await thoughtsOf('test:import:checked');
+  assert.deepEqual(linked.relationships_out, [{ thought_id: good.id, relationship_type: 'refines' }]);
+});
+
+test('an import with no valid thoughts fails without creating the session', async () => {
+  const bundle = { sessionName: 'test:import:empty', thoughts: [rawThought('bad', { confidence: -1 })] };
+  const result = await server.call('import_session', { content: JSON.stringify(bundle) });
+  assert.equal(result.error, 'Failed to import session');
+  assert.deepEqual(await thoughtsOf('test:import:empty'), []);
+});
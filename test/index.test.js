@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+async function foundSessions(server, query) {
+  const { sessions } = await server.call('search_all_sessions', { query });
+  return sessions.map(session => session.sessionName).sort();
+}
+
+// The index is written shortly after the last change; wait until it lists the sessions
+async function waitForIndex(dir, sessionNames) {
+  const file = path.join(dir, 'index', 'search-index.json');
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const index = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (Object.keys(index.sessions).sort().join() === sessionNames.join()) return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    assert.ok(attempt < 50, 'search index was not written');
+    await delay(100);
+  }
+}
+
+test('the persisted index is brought up to date with sessions changed while stopped', async () => {
+  const dir = await createTempDir();
+  try {
+    let server = await startServer({ SESSION_DIR: dir });
+    await server.call('think', { sessionName: 'test:index:kept', reasoning: 'Nebula dust' });
+    await server.call('think', { sessionName: 'test:index:gone', reasoning: 'Nebula core' });
+    await waitForIndex(dir, ['test:index:gone', 'test:index:kept']);
+    await server.stop();
+
+    await fs.unlink(path.join(dir, 'test___index___gone.json'));
+    await fs.writeFile(path.join(dir, 'test___index___added.json'), JSON.stringify([{
+      id: 'thought_1', content: 'Nebula arm', mode: 'linear', tags: [], timestamp: '2026-01-02T03:04:05.000Z',
+      relates_to: null, relationship_type: null, relationships_in: [], relationships_out: []
+    }]));
+
+    server = await startServer({ SESSION_DIR: dir });
+    try {
+      assert.deepEqual(await foundSessions(server, 'nebula'), ['test:index:added', 'test:index:kept']);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await removeTempDir(dir);
+  }
+});
+
+test('an unreadable index is rebuilt from the sessions', async () => {
+  const dir = await createTempDir();
+  try {
+    let server = await startServer({ SESSION_DIR: dir });
+    await server.call('think', { sessionName: 'test:index:rebuilt', reasoning: 'Pulsar timing' });
+    await waitForIndex(dir, ['test:index:rebuilt']);
+    await server.stop();
+    await fs.writeFile(path.join(dir, 'index', 'search-index.json'), '{ not json');
+
+    server = await startServer({ SESSION_DIR: dir });
+    try {
+      assert.deepEqual(await foundSessions(server, 'pulsar'), ['test:index:rebuilt']);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await removeTempDir(dir);
+  }
+});
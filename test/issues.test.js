@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const issueIds = (result) => result.issues.map(issue => `${issue.sessionName}#${issue.thoughtId}`).sort();
+
+test('open questions and contradictions are listed across sessions until resolved', async () => {
+  const question = await server.call('think', { sessionName: 'test:issues:one', reasoning: 'Does it scale?', status: 'question' });
+  const claim = await server.call('think', { sessionName: 'test:issues:two', reasoning: 'Margins will grow' });
+  const doubt = await server.call('think', {
+    sessionName: 'test:issues:two', reasoning: 'Margins will shrink', relates_to: claim.thoughtId, relationship_type: 'contradicts'
+  });
+  await server.call('think', { sessionName: 'test:issues:calm', reasoning: 'Nothing open here' });
+
+  const all = await server.call('list_open_issues', {});
+  assert.deepEqual(issueIds(all), [`test:issues:one#${question.thoughtId}`, `test:issues:two#${doubt.thoughtId}`]);
+  assert.equal(all.sessionsChecked, 3);
+  assert.deepEqual(issueIds(await server.call('list_open_issues', { type: 'questions' })), [`test:issues:one#${question.thoughtId}`]);
+
+  const answer = await server.call('think', { sessionName: 'test:issues:one', reasoning: 'It scales to ten nodes' });
+  const resolved = await server.call('resolve_issue', { sessionName: 'test:issues:one', thoughtId: question.thoughtId, resolved_by: answer.thoughtId });
+  assert.equal(resolved.status, 'success');
+  assert.deepEqual(issueIds(await server.call('list_open_issues', {})), [`test:issues:two#${doubt.thoughtId}`]);
+
+  const again = await server.call('resolve_issue', { sessionName: 'test:issues:one', thoughtId: question.thoughtId, resolved_by: answer.thoughtId });
+  assert.equal(again.error, 'Issue is already resolved');
+});
+
+test('a synthesizing thought closes a contradiction', async () => {
+  const claim = await server.call('think', { sessionName: 'test:issues:three', reasoning: 'Demand is rising' });
+  const doubt = await server.call('think', {
+    sessionName: 'test:issues:three', reasoning: 'Demand is falling', relates_to: claim.thoughtId, relationship_type: 'contradicts'
+  });
+  assert.deepEqual(issueIds(await server.call('list_open_issues', { sessionName: 'test:issues:three' })), [`test:issues:three#${doubt.thoughtId}`]);
+
+  await server.call('think', {
+    sessionName: 'test:issues:three', reasoning: 'Rising in Asia, falling in Europe', relates_to: doubt.thoughtId, relationship_type: 'synthesizes'
+  });
+  assert.deepEqual((await server.call('list_open_issues', { sessionName: 'test:issues:three' })).issues, []);
+});
@@ -0,0 +1,181 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thoughtById(sessionName, thoughtId) {
+  const { thoughts } = await server.call('view_session', { sessionName });
+  return thoughts.find(t => t.id === thoughtId);
+}
+
+test('think adds several typed links with their backlinks', async () => {
+  const session = 'test:links:multi';
+  const a = await server.call('think', { sessionName: session, reasoning: 'Claim A' });
+  const b = await server.call('think', { sessionName: session, reasoning: 'Claim B' });
+  const c = await server.call('think', {
+    sessionName: session,
+    reasoning: 'Supports A, contradicts B',
+    links: [
+      { thought_id: a.thoughtId, relationship_type: 'supports' },
+      { thought_id: b.thoughtId, relationship_type: 'contradicts' }
+    ]
+  });
+  assert.deepEqual(c.links.map(link => link.relationship_type), ['supports', 'contradicts']);
+  
+  const thought = await thoughtById(session, c.thoughtId);
+  assert.equal(thought.relates_to, a.thoughtId);
+  assert.deepEqual((await thoughtById(session, b.thoughtId)).relationships_in,
+    [{ thought_id: c.thoughtId, relationship_type: 'contradicts' }]);
+  
+  const duplicate = await server.call('link_thoughts', {
+    sessionName: session, thoughtId: c.thoughtId, links: [{ thought_id: a.thoughtId, relationship_type: 'supports' }]
+  });
+  assert.equal(duplicate.error, 'Link already exists');
+});
+
+test('unlinking the first link promotes the next one to relates_to', async () => {
+  const session = 'test:links:promote';
+  const a = await server.call('think', { sessionName: session, reasoning: 'A' });
+  const b = await server.call('think', { sessionName: session, reasoning: 'B' });
+  const c = await server.call('think', {
+    sessionName: session,
+    reasoning: 'C',
+    links: [
+      { thought_id: a.thoughtId, relationship_type: 'builds_on' },
+      { thought_id: b.thoughtId, relationship_type: 'refines' }
+    ]
+  });
+  
+  const result = await server.call('unlink_thoughts', { sessionName: session, thoughtId: c.thoughtId, links: [{ thought_id: a.thoughtId }] });
+  assert.equal(result.removedCount, 1);
+  const thought = await thoughtById(session, c.thoughtId);
+  assert.equal(thought.relates_to, b.thoughtId);
+  assert.equal(thought.relationship_type, 'refines');
+  assert.deepEqual((await thoughtById(session, a.thoughtId)).relationships_in, []);
+});
+
+test("unlinking a forked thought's copy leaves the other copy's backlink", async () => {
+  const target = 'test:links:target';
+  const parent = 'test:links:parent';
+  const fork = 'test:links:fork';
+  const t = await server.call('think', { sessionName: target, reasoning: 'Target claim' });
+  const s = await server.call('think', {
+    sessionName: parent,
+    reasoning: 'Supports the target',
+    relates_to: `${target}#${t.thoughtId}`,
+    relationship_type: 'supports'
+  });
+  const forked = await server.call('fork_session', { sessionName: parent, newSessionName: fork });
+  assert.equal(forked.status, 'success');
+  
+  const before = await thoughtById(target, t.thoughtId);
+  assert.deepEqual(before.relationships_in.map(rel => rel.session).sort(), [fork, parent]);
+  
+  const result = await server.call('unlink_thoughts', {
+    sessionName: parent, thoughtId: s.thoughtId, links: [{ thought_id: `${target}#${t.thoughtId}` }]
+  });
+  assert.equal(result.removedCount, 1);
+  
+  const after = await thoughtById(target, t.thoughtId);
+  assert.deepEqual(after.relationships_in, [{ thought_id: s.thoughtId, relationship_type: 'supports', session: fork }]);
+  assert.equal((await thoughtById(fork, s.thoughtId)).relationships_out.length, 1);
+});
+
+test("relinking a forked thought's copy with edit_thought leaves the other copy's backlink", async () => {
+  const target = 'test:links:target2';
+  const parent = 'test:links:parent2';
+  const fork = 'test:links:fork2';
+  const t = await server.call('think', { sessionName: target, reasoning: 'Target claim' });
+  const s = await server.call('think', {
+    sessionName: parent,
+    reasoning: 'Builds on the target',
+    relates_to: `${target}#${t.thoughtId}`,
+    relationship_type: 'builds_on'
+  });
+  await server.call('fork_session', { sessionName: parent, newSessionName: fork });
+  
+  const edited = await server.call('edit_thought', { sessionName: fork, thoughtId: s.thoughtId, relates_to: null });
+  assert.equal(edited.status, 'success');
+  
+  const after = await thoughtById(target, t.thoughtId);
+  assert.deepEqual(after.relationships_in, [{ thought_id: s.thoughtId, relationship_type: 'builds_on', session: parent }]);
+});
+
+test('edit_thought rejects a relates_to that duplicates another link and promotes a new one', async () => {
+  const session = 'test:links:relink';
+  const a = await server.call('think', { sessionName: session, reasoning: 'A' });
+  const b = await server.call('think', { sessionName: session, reasoning: 'B' });
+  const c = await server.call('think', {
+    sessionName: session,
+    reasoning: 'C',
+    links: [
+      { thought_id: a.thoughtId, relationship_type: 'supports' },
+      { thought_id: b.thoughtId, relationship_type: 'refines' }
+    ]
+  });
+  
+  const duplicate = await server.call('edit_thought', {
+    sessionName: session, thoughtId: c.thoughtId, relates_to: b.thoughtId, relationship_type: 'refines'
+  });
+  assert.equal(duplicate.error, 'Link already exists');
+  
+  const sameLink = await server.call('edit_thought', { sessionName: session, thoughtId: c.thoughtId, relationship_type: 'supports' });
+  assert.equal(sameLink.status, 'success');
+  
+  const edited = await server.call('edit_thought', {
+    sessionName: session, thoughtId: c.thoughtId, relates_to: b.thoughtId, relationship_type: 'contradicts'
+  });
+  assert.equal(edited.status, 'success');
+  assert.equal(edited.thought.relates_to, b.thoughtId);
+  assert.equal(edited.thought.relationship_type, 'contradicts');
+  assert.deepEqual(edited.thought.relationships_out, [
+    { thought_id: b.thoughtId, relationship_type: 'refines' },
+    { thought_id: b.thoughtId, relationship_type: 'contradicts' }
+  ]);
+  assert.deepEqual((await thoughtById(session, a.thoughtId)).relationships_in, []);
+  assert.equal((await thoughtById(session, b.thoughtId)).relationships_in.length, 2);
+  
+  await server.call('unlink_thoughts', {
+    sessionName: session, thoughtId: c.thoughtId, links: [{ thought_id: b.thoughtId, relationship_type: 'contradicts' }]
+  });
+  const thought = await thoughtById(session, c.thoughtId);
+  assert.equal(thought.relationship_type, 'refines');
+  assert.deepEqual((await thoughtById(session, b.thoughtId)).relationships_in, [{ thought_id: c.thoughtId, relationship_type: 'refines' }]);
+});
+
+test('deleting a linked session promotes the next link to relates_to', async () => {
+  const session = 'test:links:keeper';
+  const other = 'test:links:doomed';
+  const remote = await server.call('think', { sessionName: other, reasoning: 'Remote claim' });
+  const local = await server.call('think', { sessionName: session, reasoning: 'Local claim' });
+  const linking = await server.call('think', {
+    sessionName: session,
+    reasoning: 'Links to both',
+    links: [
+      { thought_id: `${other}#${remote.thoughtId}`, relationship_type: 'supports' },
+      { thought_id: local.thoughtId, relationship_type: 'refines' }
+    ]
+  });
+  assert.equal((await thoughtById(session, linking.thoughtId)).relates_to, `${other}#${remote.thoughtId}`);
+  
+  const deleted = await server.call('delete_session', { sessionName: other });
+  assert.deepEqual(deleted.unlinkedSessions, [session]);
+  
+  const thought = await thoughtById(session, linking.thoughtId);
+  assert.equal(thought.relates_to, local.thoughtId);
+  assert.equal(thought.relationship_type, 'refines');
+  assert.deepEqual(thought.relationships_out, [{ thought_id: local.thoughtId, relationship_type: 'refines' }]);
+  assert.equal(thought.revisions.at(-1).action, 'unlink');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+async function listedNames(server, filters) {
+  const { sessions } = await server.call('list_sessions', filters);
+  return sessions.map(session => session.sessionName).sort();
+}
+
+for (const backend of ['file', 'sqlite']) {
+  test(`list_sessions filters on metadata (${backend} backend)`, async () => {
+    const dir = await createTempDir();
+    let server = await startServer({ SESSION_DIR: dir, SESSION_BACKEND: backend });
+    try {
+      for (const name of ['test:meta:one', 'test:meta:two', 'test:meta:three']) {
+        await server.call('think', { sessionName: name, reasoning: `Thought in ${name}` });
+      }
+      await server.call('update_session_metadata', { sessionName: 'test:meta:one', status: 'paused', owner: 'ana', fields: { team: 'infra' } });
+      await server.call('update_session_metadata', { sessionName: 'test:meta:two', owner: 'ana', title: 'Capacity plan' });
+
+      assert.deepEqual(await listedNames(server, { status: 'paused' }), ['test:meta:one']);
+      assert.deepEqual(await listedNames(server, { owner: 'ana' }), ['test:meta:one', 'test:meta:two']);
+      assert.deepEqual(await listedNames(server, { title: 'capacity' }), ['test:meta:two']);
+      assert.deepEqual(await listedNames(server, { fields: { team: 'infra' } }), ['test:meta:one']);
+
+      // Thoughts added later and a rename keep the metadata
+      await server.call('think', { sessionName: 'test:meta:one', reasoning: 'Another thought' });
+      await server.call('rename_session', { oldSessionName: 'test:meta:one', newSessionName: 'test:meta:renamed' });
+      assert.deepEqual(await listedNames(server, { status: 'paused' }), ['test:meta:renamed']);
+
+      await server.stop();
+      server = await startServer({ SESSION_DIR: dir, SESSION_BACKEND: backend });
+      assert.deepEqual(await listedNames(server, { owner: 'ana' }), ['test:meta:renamed', 'test:meta:two']);
+      assert.deepEqual(await listedNames(server, { status: 'active' }), ['test:meta:three', 'test:meta:two']);
+    } finally {
+      await server.stop();
+      await removeTempDir(dir);
+    }
+  });
+}
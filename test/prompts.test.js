@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const promptText = async (name, args) => (await server.client.getPrompt({ name, arguments: args })).messages[0].content.text;
+
+test('every thinking mode has a prompt, plus contradiction synthesis', async () => {
+  const { prompts } = await server.client.listPrompts();
+  assert.deepEqual(prompts.map(p => p.name).sort(), [
+    'creative_exploration', 'critical_review', 'empathetic_perspective', 'linear_reasoning', 'strategic_plan', 'synthesize_contradictions'
+  ]);
+});
+
+test('a mode prompt carries the session transcript and its mode', async () => {
+  const session = 'test:prompts:review';
+  const claim = await server.call('think', { sessionName: session, reasoning: 'Churn is falling', tags: ['kpi'] });
+  const aside = await server.call('think', { sessionName: session, reasoning: 'Retracted aside' });
+  await server.call('retract_thought', { sessionName: session, thoughtId: aside.thoughtId });
+
+  const text = await promptText('critical_review', { sessionName: session, focus: 'Data quality' });
+  assert.match(text, /in critical mode/);
+  assert.match(text, /Focus: Data quality/);
+  assert.match(text, new RegExp(`#1 \\[linear, tags: kpi\\] ${claim.thoughtId}\\nChurn is falling`));
+  assert.doesNotMatch(text, /Retracted aside/);
+  assert.match(text, /mode "critical"/);
+
+  await assert.rejects(promptText('critical_review', { sessionName: 'test:prompts:missing' }));
+});
+
+test('the synthesis prompt quotes each unresolved contradiction', async () => {
+  const session = 'test:prompts:tension';
+  const claim = await server.call('think', { sessionName: session, reasoning: 'Prices will rise' });
+  const objection = await server.call('think', {
+    sessionName: session, reasoning: 'Prices will fall', relates_to: claim.thoughtId, relationship_type: 'contradicts'
+  });
+
+  const text = await promptText('synthesize_contradictions', { sessionName: session });
+  assert.match(text, /1 unresolved contradiction:/);
+  assert.ok(text.includes(`Claim (${claim.thoughtId}): Prices will rise\nObjection (${objection.thoughtId}): Prices will fall`));
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thoughtsOf(sessionName) {
+  return (await server.call('view_session', { sessionName })).thoughts;
+}
+
+test('renaming a session to its own name is refused', async () => {
+  await server.call('think', { sessionName: 'test:rename:self', reasoning: 'Still here' });
+  const result = await server.call('rename_session', { oldSessionName: 'test:rename:self', newSessionName: 'test:rename:self' });
+  assert.equal(result.error, 'A session cannot be renamed to its own name');
+  assert.deepEqual((await thoughtsOf('test:rename:self')).map(t => t.content), ['Still here']);
+});
+
+test('renaming onto an existing session is refused and keeps its links', async () => {
+  const target = await server.call('think', { sessionName: 'test:rename:target', reasoning: 'Target' });
+  await server.call('think', { sessionName: 'test:rename:source', reasoning: 'Source' });
+  await server.call('think', {
+    sessionName: 'test:rename:linker', reasoning: 'Links to the target',
+    relates_to: `test:rename:target#${target.thoughtId}`, relationship_type: 'supports'
+  });
+
+  const result = await server.call('rename_session', { oldSessionName: 'test:rename:source', newSessionName: 'test:rename:target' });
+  assert.equal(result.error, 'Session already exists');
+  assert.deepEqual((await thoughtsOf('test:rename:source')).map(t => t.content), ['Source']);
+  const [kept] = await thoughtsOf('test:rename:target');
+  assert.equal(kept.content, 'Target');
+  assert.equal(kept.relationships_in[0].session, 'test:rename:linker');
+});
+
+test('a rename moves the backlinks other sessions hold', async () => {
+  const moved = await server.call('think', { sessionName: 'test:rename:before', reasoning: 'Moving' });
+  const linker = await server.call('think', {
+    sessionName: 'test:rename:holder', reasoning: 'Links to the moving session',
+    relates_to: `test:rename:before#${moved.thoughtId}`, relationship_type: 'refines'
+  });
+
+  const result = await server.call('rename_session', { oldSessionName: 'test:rename:before', newSessionName: 'test:rename:after' });
+  assert.equal(result.status, 'success');
+  const [holder] = await thoughtsOf('test:rename:holder');
+  assert.equal(holder.id, linker.thoughtId);
+  assert.deepEqual(holder.relationships_out, [{ thought_id: moved.thoughtId, relationship_type: 'refines', session: 'test:rename:after' }]);
+  assert.equal(holder.relates_to, `test:rename:after#${moved.thoughtId}`);
+});
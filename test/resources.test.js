@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const readJson = async (uri) => JSON.parse((await server.client.readResource({ uri })).contents[0].text);
+
+test('sessions and thoughts are listed and read as resources', async () => {
+  const { thoughtId } = await server.call('think', { sessionName: 'test:resources:deep:part', reasoning: 'Readable' });
+
+  const { resources } = await server.client.listResources();
+  assert.deepEqual(resources.map(r => [r.name, r.uri]), [['test:resources:deep:part', 'session://test/resources/deep/part']]);
+
+  const session = await readJson('session://test/resources/deep/part');
+  assert.equal(session.sessionName, 'test:resources:deep:part');
+  assert.deepEqual(session.thoughts.map(t => t.id), [thoughtId]);
+
+  const thought = await readJson(`thought://${encodeURIComponent('test:resources:deep:part')}/${thoughtId}`);
+  assert.equal(thought.content, 'Readable');
+
+  await assert.rejects(server.client.readResource({ uri: 'session://test/resources/missing' }));
+});
+
+test('subscribers are notified when think appends to a session', async () => {
+  await server.call('think', { sessionName: 'test:resources:watched', reasoning: 'First' });
+  const updates = [];
+  server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+    updates.push(notification.params.uri);
+  });
+
+  await server.client.subscribeResource({ uri: 'session://test/resources/watched' });
+  await server.call('think', { sessionName: 'test:resources:other', reasoning: 'Elsewhere' });
+  await server.call('think', { sessionName: 'test:resources:watched', reasoning: 'Second' });
+  await server.client.unsubscribeResource({ uri: 'session://test/resources/watched' });
+  await server.call('think', { sessionName: 'test:resources:watched', reasoning: 'Third' });
+
+  // A round trip lets any notification sent before it arrive
+  await server.client.listResources();
+  assert.deepEqual(updates, ['session://test/resources/watched']);
+});
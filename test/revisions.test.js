@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function thoughtsOf(sessionName, args = {}) {
+  return (await server.call('view_session', { sessionName, ...args })).thoughts;
+}
+
+test('edits keep the earlier versions with their reasons', async () => {
+  const session = 'test:revisions:edit';
+  const { thoughtId } = await server.call('think', { sessionName: session, reasoning: 'Revenue grows 5%', tags: ['draft'] });
+
+  const first = await server.call('edit_thought', { sessionName: session, thoughtId, reasoning: 'Revenue grows 7%', reason: 'New guidance' });
+  assert.equal(first.version, 2);
+  const second = await server.call('edit_thought', { sessionName: session, thoughtId, tags: ['final'], mode: 'critical' });
+  assert.equal(second.version, 3);
+
+  const [thought] = await thoughtsOf(session);
+  assert.equal(thought.content, 'Revenue grows 7%');
+  assert.equal(thought.mode, 'critical');
+  assert.deepEqual(thought.tags, ['final']);
+  assert.deepEqual(thought.revisions.map(r => [r.version, r.action, r.content, r.tags, r.reason]), [
+    [1, 'edit', 'Revenue grows 5%', ['draft'], 'New guidance'],
+    [2, 'edit', 'Revenue grows 7%', ['draft'], null]
+  ]);
+});
+
+test('retracted thoughts are hidden from views and searches until restored', async () => {
+  const session = 'test:revisions:retract';
+  const claim = await server.call('think', { sessionName: session, reasoning: 'Quasar shipments double' });
+  const support = await server.call('think', {
+    sessionName: session, reasoning: 'Orders backlog', relates_to: claim.thoughtId, relationship_type: 'supports'
+  });
+
+  const retracted = await server.call('retract_thought', { sessionName: session, thoughtId: claim.thoughtId, reason: 'Outdated' });
+  assert.equal(retracted.retracted, true);
+  assert.equal(retracted.linkedThoughts, 1);
+  assert.deepEqual((await thoughtsOf(session)).map(t => t.id), [support.thoughtId]);
+  assert.equal((await server.call('search_in_session', { sessionName: session, query: 'quasar' })).results.length, 0);
+
+  const [hidden] = await thoughtsOf(session, { include_retracted: true });
+  assert.equal(hidden.retraction_reason, 'Outdated');
+  assert.deepEqual(hidden.relationships_in, [{ thought_id: support.thoughtId, relationship_type: 'supports' }]);
+  const again = await server.call('retract_thought', { sessionName: session, thoughtId: claim.thoughtId });
+  assert.equal(again.error, 'Thought is already retracted');
+
+  await server.call('retract_thought', { sessionName: session, thoughtId: claim.thoughtId, restore: true });
+  const [restored] = await thoughtsOf(session);
+  assert.equal(restored.retracted, false);
+  assert.deepEqual(restored.revisions.map(r => r.action), ['retract', 'restore']);
+  const found = await server.call('search_in_session', { sessionName: session, query: 'quasar' });
+  assert.deepEqual(found.results.map(result => result.id), [claim.thoughtId]);
+});
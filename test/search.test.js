@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+const SESSION = 'test:search:queries';
+let dir;
+let server;
+const ids = {};
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+  const thoughts = {
+    cuda: { reasoning: 'CUDA is a well-known moat for NVIDIA', tags: ['moat'] },
+    amd: { reasoning: 'AMD competes on price in inference', tags: ['risk'], mode: 'critical' },
+    state: { reasoning: 'The state of the market favours incumbents', tags: ['market'] },
+    phrase: { reasoning: 'Software moat matters more than hardware', tags: [] }
+  };
+  for (const [key, args] of Object.entries(thoughts)) {
+    ids[key] = (await server.call('think', { sessionName: SESSION, ...args })).thoughtId;
+  }
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+async function search(query) {
+  const response = await server.call('search_in_session', { sessionName: SESSION, query });
+  assert.equal(response.error, undefined, `${query}: ${response.message}`);
+  return response.results.map(result => result.id).sort();
+}
+
+test('words match in any order', async () => {
+  assert.deepEqual(await search('moat cuda'), [ids.cuda]);
+});
+
+test('AND, OR, NOT and -term combine', async () => {
+  assert.deepEqual(await search('moat OR price'), [ids.amd, ids.cuda, ids.phrase].sort());
+  assert.deepEqual(await search('moat AND NOT software'), [ids.cuda]);
+  assert.deepEqual(await search('moat -cuda'), [ids.phrase]);
+  assert.deepEqual(await search('moat -(cuda OR price)'), [ids.phrase]);
+});
+
+test('field filters and prefixes', async () => {
+  assert.deepEqual(await search('tag:risk'), [ids.amd]);
+  assert.deepEqual(await search('mode:critical price'), [ids.amd]);
+  assert.deepEqual(await search('incumb*'), [ids.state]);
+});
+
+test('a dash on its own is ignored rather than rejected', async () => {
+  assert.deepEqual(await search('well - known'), [ids.cuda]);
+  assert.deepEqual(await search('state -'), [ids.state]);
+});
+
+test('phrases match consecutive content words only', async () => {
+  assert.deepEqual(await search('"software moat"'), [ids.phrase]);
+  // "NVIDIA" ends the content and "moat" is a tag: not a phrase
+  assert.deepEqual(await search('"nvidia moat"'), []);
+});
+
+test('malformed field filters are still reported', async () => {
+  const response = await server.call('search_in_session', { sessionName: SESSION, query: 'tag:' });
+  assert.equal(response.error, 'Failed to search in session');
+  assert.match(response.message, /Missing search term after 'tag:'/);
+});
+
+test('retracted thoughts do not weigh on relevance scores', async () => {
+  const scoreIn = async (sessionName, retracted) => {
+    const live = await server.call('think', { sessionName, reasoning: 'Zephyr winds ahead' });
+    await server.call('think', { sessionName, reasoning: 'Calm seas' });
+    await server.call('think', { sessionName, reasoning: 'Clear skies' });
+    for (let i = 0; i < retracted; i++) {
+      const { thoughtId } = await server.call('think', { sessionName, reasoning: `Zephyr draft ${i}` });
+      await server.call('retract_thought', { sessionName, thoughtId });
+    }
+    const { results } = await server.call('search_in_session', { sessionName, query: 'zephyr' });
+    assert.deepEqual(results.map(result => result.id), [live.thoughtId]);
+    return results[0].relevance_score;
+  };
+
+  const score = await scoreIn('test:search:retracted', 3);
+  assert.ok(score > 0);
+  assert.equal(score, await scoreIn('test:search:unretracted', 0));
+});
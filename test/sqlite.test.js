@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+const SQLITE = { SESSION_BACKEND: 'sqlite' };
+
+async function withServer(fn, files = {}) {
+  const dir = await createTempDir();
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, file), content);
+    }
+    return await fn(dir);
+  } finally {
+    await removeTempDir(dir);
+  }
+}
+
+const ids = (response) => response.thoughts.map(t => t.id);
+
+test('SQLite imports session files into an empty database', async () => {
+  const thought = {
+    id: 'thought_1', content: 'From a file', mode: 'linear', tags: ['legacy'], timestamp: '2026-01-02T03:04:05.000Z',
+    relates_to: null, relationship_type: null, relationships_in: [], relationships_out: []
+  };
+  await withServer(async (dir) => {
+    const server = await startServer({ SESSION_DIR: dir, ...SQLITE });
+    try {
+      const { thoughts } = await server.call('view_session', { sessionName: 'x:file:a' });
+      assert.equal(thoughts[0].content, 'From a file');
+    } finally {
+      await server.stop();
+    }
+    await fs.access(path.join(dir, 'sessions.db'));
+  }, { 'x___file___a.json': JSON.stringify([thought]) });
+});
+
+test('SQLite filters thoughts by mode, tags and relationship type', async () => {
+  await withServer(async (dir) => {
+    const server = await startServer({ SESSION_DIR: dir, ...SQLITE });
+    try {
+      const session = 'test:sqlite:filters';
+      const a = await server.call('think', { sessionName: session, reasoning: 'Plain', tags: ['alpha'] });
+      const b = await server.call('think', { sessionName: session, reasoning: 'Critique', mode: 'critical', tags: ['alpha', 'beta'] });
+      const c = await server.call('think', {
+        sessionName: session, reasoning: 'Support', relates_to: a.thoughtId, relationship_type: 'supports'
+      });
+
+      assert.deepEqual(ids(await server.call('view_session', { sessionName: session, mode: 'critical' })), [b.thoughtId]);
+      assert.deepEqual(ids(await server.call('view_session', { sessionName: session, tags: ['alpha'] })), [a.thoughtId, b.thoughtId]);
+      assert.deepEqual(ids(await server.call('view_session', { sessionName: session, tags: ['alpha', 'beta'], tag_match: 'all' })), [b.thoughtId]);
+      assert.deepEqual(ids(await server.call('view_session', { sessionName: session, relationship_type: 'supports' })), [c.thoughtId]);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+test('SQLite keeps sessions across restarts and refuses to rename onto another session', async () => {
+  await withServer(async (dir) => {
+    let server = await startServer({ SESSION_DIR: dir, ...SQLITE });
+    try {
+      await server.call('think', { sessionName: 'test:sqlite:one', reasoning: 'First session' });
+      await server.call('think', { sessionName: 'test:sqlite:two', reasoning: 'Second session' });
+
+      const rename = await server.call('rename_session', { oldSessionName: 'test:sqlite:one', newSessionName: 'test:sqlite:two' });
+      assert.ok(rename.error);
+
+      await server.stop();
+      server = await startServer({ SESSION_DIR: dir, ...SQLITE });
+      for (const [name, content] of [['test:sqlite:one', 'First session'], ['test:sqlite:two', 'Second session']]) {
+        const { thoughts } = await server.call('view_session', { sessionName: name });
+        assert.deepEqual(thoughts.map(t => t.content), [content]);
+      }
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { createTempDir, removeTempDir, startServer, SERVER_PATH } from './helpers.js';
+
+const run = promisify(execFile);
+
+// A session file as written by 1.3.x: a bare array of thoughts
+const LEGACY_THOUGHT = {
+  id: 'thought_1',
+  content: 'Written by an earlier version',
+  mode: 'linear',
+  tags: [],
+  timestamp: '2026-01-02T03:04:05.000Z',
+  relates_to: null,
+  relationship_type: null,
+  relationships_in: [],
+  relationships_out: []
+};
+
+async function withSessionDir(fn) {
+  const dir = await createTempDir();
+  try {
+    await fs.writeFile(path.join(dir, 'x___old___a.json'), JSON.stringify([LEGACY_THOUGHT], null, 2));
+    return await fn(dir);
+  } finally {
+    await removeTempDir(dir);
+  }
+}
+
+const sessionFiles = async (dir) => (await fs.readdir(dir)).filter(file => file.includes('___')).sort();
+
+test('the default format reads existing .json sessions without converting them', async () => {
+  await withSessionDir(async (dir) => {
+    const server = await startServer({ SESSION_DIR: dir, SESSION_STORAGE_FORMAT: '' });
+    try {
+      const { thoughts } = await server.call('view_session', { sessionName: 'x:old:a' });
+      assert.equal(thoughts[0].content, LEGACY_THOUGHT.content);
+    } finally {
+      await server.stop();
+    }
+    assert.deepEqual(await sessionFiles(dir), ['x___old___a.json']);
+  });
+});
+
+test('an explicit format converts sessions in the other format at startup', async () => {
+  await withSessionDir(async (dir) => {
+    const server = await startServer({ SESSION_DIR: dir, SESSION_STORAGE_FORMAT: 'jsonl' });
+    try {
+      const { thoughts } = await server.call('view_session', { sessionName: 'x:old:a' });
+      assert.equal(thoughts[0].content, LEGACY_THOUGHT.content);
+    } finally {
+      await server.stop();
+    }
+    assert.deepEqual(await sessionFiles(dir), ['x___old___a.jsonl']);
+  });
+});
+
+test('the export command never converts session files', async () => {
+  await withSessionDir(async (dir) => {
+    const env = { ...process.env, SESSION_DIR: dir, SESSION_STORAGE_FORMAT: '' };
+    const { stdout } = await run(process.execPath, [SERVER_PATH, 'export', 'x:old:a'], { env, timeout: 30000 });
+    assert.match(stdout, /Written by an earlier version/);
+    
+    await assert.rejects(run(process.execPath, [SERVER_PATH, 'export', 'x:old:a'],
+      { env: { ...env, SESSION_STORAGE_FORMAT: 'jsonl' }, timeout: 30000 }));
+    assert.deepEqual(await sessionFiles(dir), ['x___old___a.json']);
+  });
+});
+
+test('JSONL logs append changed thoughts and compact once mostly superseded', async () => {
+  const dir = await createTempDir();
+  const env = { SESSION_DIR: dir, SESSION_STORAGE_FORMAT: 'jsonl' };
+  const logPath = path.join(dir, 'x___log___a.jsonl');
+  const lineCount = async () => (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean).length;
+  try {
+    let server = await startServer(env);
+    let thoughtId;
+    try {
+      thoughtId = (await server.call('think', { sessionName: 'x:log:a', reasoning: 'Version 0' })).thoughtId;
+      await server.call('think', { sessionName: 'x:log:a', reasoning: 'Second thought' });
+      // The metadata line and one line per thought
+      assert.equal(await lineCount(), 3);
+      
+      let maxLines = 0;
+      for (let version = 1; version <= 40; version++) {
+        await server.call('edit_thought', { sessionName: 'x:log:a', thoughtId, reasoning: `Version ${version}` });
+        maxLines = Math.max(maxLines, await lineCount());
+      }
+      assert.ok(maxLines > 30, 'edits are appended');
+      assert.ok(await lineCount() < maxLines, 'the log was compacted');
+    } finally {
+      await server.stop();
+    }
+    
+    server = await startServer(env);
+    try {
+      const { thoughts } = await server.call('view_session', { sessionName: 'x:log:a' });
+      assert.deepEqual(thoughts.map(t => t.content), ['Version 40', 'Second thought']);
+      assert.equal(thoughts[0].revisions.length, 40);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await removeTempDir(dir);
+  }
+});
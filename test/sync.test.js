@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+async function foundSessions(server, query) {
+  const { sessions } = await server.call('search_all_sessions', { query });
+  return sessions.map(session => session.sessionName).sort();
+}
+
+const STORAGE = [
+  { label: 'JSON files', env: { SESSION_BACKEND: 'file', SESSION_STORAGE_FORMAT: 'json' } },
+  { label: 'JSONL logs', env: { SESSION_BACKEND: 'file', SESSION_STORAGE_FORMAT: 'jsonl' } },
+  { label: 'SQLite', env: { SESSION_BACKEND: 'sqlite' } }
+];
+
+for (const { label, env: storageEnv } of STORAGE) {
+  test(`searches see sessions another process wrote or removed (${label})`, async () => {
+    const dir = await createTempDir();
+    const env = { SESSION_DIR: dir, ...storageEnv };
+    const writer = await startServer(env);
+    const reader = await startServer(env);
+    try {
+      assert.deepEqual(await foundSessions(reader, 'turbine'), []);
+
+      await writer.call('think', { sessionName: 'test:sync:one', reasoning: 'Turbine blade wear' });
+      assert.deepEqual(await foundSessions(reader, 'turbine'), ['test:sync:one']);
+
+      // A second thought is appended to a JSONL log rather than rewriting it
+      await writer.call('think', { sessionName: 'test:sync:one', reasoning: 'Gearbox noise' });
+      assert.deepEqual(await foundSessions(reader, 'gearbox'), ['test:sync:one']);
+
+      await writer.call('think', { sessionName: 'test:sync:two', reasoning: 'Turbine inspection schedule' });
+      await writer.call('archive_session', { sessionName: 'test:sync:one' });
+      assert.deepEqual(await foundSessions(reader, 'turbine'), ['test:sync:one', 'test:sync:two']);
+      const { sessions } = await reader.call('search_all_sessions', { query: 'blade' });
+      assert.equal(sessions[0].archived, true);
+
+      await writer.call('delete_session', { sessionName: 'test:sync:two', permanent: true });
+      assert.deepEqual(await foundSessions(reader, 'inspection'), []);
+    } finally {
+      await writer.stop();
+      await reader.stop();
+      await removeTempDir(dir);
+    }
+  });
+}
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+// Write a template file with an mtime that differs from any earlier write
+async function writeTemplate(name, template, secondsAhead) {
+  const file = path.join(dir, 'templates', `${name}.json`);
+  await fs.writeFile(file, JSON.stringify(template));
+  const time = new Date(Date.now() + secondsAhead * 1000);
+  await fs.utimes(file, time, time);
+}
+
+before(async () => {
+  dir = await createTempDir();
+  await fs.mkdir(path.join(dir, 'templates'));
+  await writeTemplate('review', { patterns: ['review:*:*'], requiredTags: ['review'], sections: [{ name: 'risks' }] }, 0);
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+test('templates seed new sessions and tag every thought', async () => {
+  const first = await server.call('think', { sessionName: 'review:api:v1', reasoning: 'First look' });
+  const { thoughts } = await server.call('view_session', { sessionName: 'review:api:v1' });
+  assert.equal(thoughts.length, 2);
+  assert.equal(thoughts[0].template.section, 'risks');
+  assert.deepEqual(thoughts.find(t => t.id === first.thoughtId).tags, ['review']);
+});
+
+test('edited and added template files are picked up', async () => {
+  await writeTemplate('review', { patterns: ['review:*:*'], requiredTags: ['review', 'audit'], sections: [{ name: 'risks' }] }, 10);
+  const second = await server.call('think', { sessionName: 'review:api:v1', reasoning: 'Second look' });
+  const { thoughts } = await server.call('view_session', { sessionName: 'review:api:v1' });
+  assert.deepEqual(thoughts.find(t => t.id === second.thoughtId).tags, ['review', 'audit']);
+
+  await writeTemplate('Bad name', {}, 20);
+  await writeTemplate('plan', { patterns: ['plan:*:*'] }, 20);
+  const listed = await server.call('list_templates', {});
+  assert.deepEqual(listed.templates.map(t => t.name), ['plan', 'review']);
+  assert.deepEqual(listed.errors.map(e => e.file), ['Bad name.json']);
+
+  await fs.unlink(path.join(dir, 'templates', 'plan.json'));
+  assert.deepEqual((await server.call('list_templates', {})).templates.map(t => t.name), ['review']);
+});
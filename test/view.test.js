@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTempDir, removeTempDir, startServer } from './helpers.js';
+
+let dir;
+let server;
+
+before(async () => {
+  dir = await createTempDir();
+  server = await startServer({ SESSION_DIR: dir });
+});
+
+after(async () => {
+  await server.stop();
+  await removeTempDir(dir);
+});
+
+const view = (sessionName, args = {}) => server.call('view_session', { sessionName, ...args });
+const contents = (page) => page.thoughts.map(t => t.content);
+
+test('cursor pages stay in place while the session grows', async () => {
+  const session = 'test:view:cursor';
+  const think = (reasoning) => server.call('think', { sessionName: session, reasoning });
+  for (const reasoning of ['1', '2', '3', '4', '5']) await think(reasoning);
+
+  const first = await view(session, { limit: 2 });
+  assert.deepEqual(contents(first), ['1', '2']);
+  await think('6');
+  const second = await view(session, { limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(contents(second), ['3', '4']);
+  assert.equal(second.offset, null);
+  const third = await view(session, { limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(contents(third), ['5', '6']);
+  assert.equal(third.hasMore, false);
+
+  await think('7');
+  assert.deepEqual(contents(await view(session, { limit: 2, cursor: third.nextCursor })), ['7']);
+
+  const newest = await view(session, { limit: 3, order: 'desc' });
+  assert.deepEqual(contents(newest), ['7', '6', '5']);
+  assert.deepEqual(contents(await view(session, { limit: 3, order: 'desc', cursor: newest.nextCursor })), ['4', '3', '2']);
+  const mixed = await view(session, { cursor: newest.nextCursor });
+  assert.equal(mixed.error, 'Failed to view session');
+  assert.match(mixed.message, /order 'desc'/);
+});
+
+test('thoughts filter by mode, tags, relationship type and time range', async () => {
+  const session = 'test:view:filters';
+  const plain = await server.call('think', { sessionName: session, reasoning: 'Plain', tags: ['alpha'] });
+  await server.call('think', { sessionName: session, reasoning: 'Critique', mode: 'critical', tags: ['alpha', 'beta'] });
+  await server.call('think', { sessionName: session, reasoning: 'Support', relates_to: plain.thoughtId, relationship_type: 'supports' });
+  await server.call('think', { sessionName: session, reasoning: 'Tagged', tags: ['beta'] });
+
+  assert.deepEqual(contents(await view(session, { mode: 'critical' })), ['Critique']);
+  assert.deepEqual(contents(await view(session, { tags: ['alpha', 'beta'] })), ['Plain', 'Critique', 'Tagged']);
+  assert.deepEqual(contents(await view(session, { tags: ['alpha', 'beta'], tag_match: 'all' })), ['Critique']);
+  assert.deepEqual(contents(await view(session, { relationship_type: 'supports' })), ['Support']);
+
+  const all = (await view(session)).thoughts;
+  const middle = all[2].timestamp;
+  assert.deepEqual(contents(await view(session, { after: middle })), all.filter(t => t.timestamp >= middle).map(t => t.content));
+  assert.deepEqual(contents(await view(session, { before: middle })), all.filter(t => t.timestamp < middle).map(t => t.content));
+  assert.equal((await view(session, { after: 'last week' })).error, 'Invalid after timestamp');
+});
+
+test('fields choose what each thought returns', async () => {
+  const session = 'test:view:fields';
+  await server.call('think', { sessionName: session, reasoning: 'x'.repeat(200), tags: ['long'] });
+  const [thought] = (await view(session, { fields: ['content_preview', 'tags', 'unknown'] })).thoughts;
+  assert.deepEqual(Object.keys(thought), ['id', 'content_preview', 'tags']);
+  assert.equal(thought.content_preview, `${'x'.repeat(150)}...`);
+});
@@ -109,6 +109,8 @@ try {
     'SESSION_MAX_RETURN',
     'registerTool',
     'think',
+    'edit_thought',
+    'retract_thought',
     'list_sessions',
     'view_session',
     'delete_session',
@@ -117,7 +119,27 @@ try {
     'search_all_sessions',
     'get_session_info',
     'cleanup_sessions',
-    'find_thought_relationships'
+    'find_thought_relationships',
+    'export_session',
+    'import_session',
+    'get_thought_graph',
+    'list_open_issues',
+    'resolve_issue',
+    'summarize_session',
+    'fork_session',
+    'merge_session',
+    'browse_sessions',
+    'pin_session',
+    'restore_session',
+    'empty_trash',
+    'archive_session',
+    'link_thoughts',
+    'unlink_thoughts',
+    'CHAIN_RELATIONSHIP_TYPES',
+    'list_templates',
+    'validate_session',
+    'update_session_metadata',
+    'summarizeBeliefs'
   ];
   
   for (const feature of codeFeatures) {